@@ -0,0 +1,130 @@
+import crypto from 'node:crypto';
+import { getAuth } from 'firebase-admin/auth';
+
+// Authentication and role checks for /api/*.
+//
+// Callers authenticate with either
+//   - an API key:  `X-API-Key: <key>` (or `Authorization: Bearer <key>`)
+//   - a Firebase ID token: `Authorization: Bearer <jwt>`; the role comes from
+//     the token's `role` custom claim, else DEFAULT_USER_ROLE if set. Tokens
+//     without either are authenticated but have no role, so every /api route
+//     answers them 403.
+//
+// API keys are configured in API_KEYS as comma separated `key:role:name[:tenant]`
+// entries, e.g. `API_KEYS=k1:admin:booking-service:clinic-a,k2:viewer:reporting`.
+// Firebase users get their tenant from the token's `tenant` custom claim (see
+// services/tenants.js for callers without one).
+//
+// Roles are ordered: viewer < agent < admin.
+
+export const ROLES = ['viewer', 'agent', 'admin'];
+
+export function parseApiKeys(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, index) => {
+            const [key, role = 'viewer', name, tenantId] = entry.split(':');
+            if (!ROLES.includes(role)) {
+                throw new Error(`API_KEYS: unknown role '${role}'`);
+            }
+            return { key, role, name: name || `api-key-${index + 1}`, tenantId: tenantId || null };
+        });
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function looksLikeJwt(token) {
+    return token.split('.').length === 3;
+}
+
+export function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function createAuth({
+    apiKeys = parseApiKeys(process.env.API_KEYS),
+    defaultUserRole = process.env.DEFAULT_USER_ROLE || null,
+    verifyIdToken = (token) => getAuth().verifyIdToken(token)
+} = {}) {
+    if (defaultUserRole && !ROLES.includes(defaultUserRole)) {
+        throw new Error(`DEFAULT_USER_ROLE: unknown role '${defaultUserRole}'`);
+    }
+
+    // Resolve a key or ID token to { id, name, role, via, tenantId }, or null if invalid
+    async function resolveCredentials(credential) {
+        if (!credential) {
+            return null;
+        }
+
+        const apiKey = apiKeys.find(entry => safeEqual(entry.key, credential));
+        if (apiKey) {
+            return { id: `api_key:${apiKey.name}`, name: apiKey.name, role: apiKey.role, via: 'api_key', tenantId: apiKey.tenantId };
+        }
+
+        if (!looksLikeJwt(credential)) {
+            return null;
+        }
+
+        try {
+            const decoded = await verifyIdToken(credential);
+            const role = ROLES.includes(decoded.role) ? decoded.role : defaultUserRole;
+            return {
+                id: decoded.uid,
+                name: decoded.name || decoded.email || decoded.uid,
+                email: decoded.email || null,
+                role,
+                via: 'firebase',
+                tenantId: decoded.tenant || null
+            };
+        } catch (error) {
+            console.warn('Rejected Firebase ID token:', error.code || error.message);
+            return null;
+        }
+    }
+
+    function credentialsFrom(req) {
+        return req.get('x-api-key') ||
+            req.get('authorization')?.replace(/^Bearer\s+/i, '') ||
+            null;
+    }
+
+    return {
+        resolveCredentials,
+
+        // Sets req.user or answers 401
+        authenticate: async (req, res, next) => {
+            try {
+                const user = await resolveCredentials(credentialsFrom(req));
+                if (!user) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                req.user = user;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        // Answers 403 unless the authenticated user has at least `role`
+        requireRole: (role) => (req, res, next) => {
+            if (!req.user?.role) {
+                return res.status(403).json({ error: 'Your account has no role' });
+            }
+            if (!hasRole(req.user, role)) {
+                return res.status(403).json({ error: `This action requires the '${role}' role` });
+            }
+            next();
+        }
+    };
+}
+
+// Who sent a message, for storing on the message doc
+export function attribution(user) {
+    return user ? { id: user.id, name: user.name, role: user.role, via: user.via } : null;
+}
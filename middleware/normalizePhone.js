@@ -0,0 +1,33 @@
+import { normalizePhone } from '../services/phone.js';
+
+// Replace req.body[field] with the canonical waId (see services/phone.js), or
+// answer 400 if it is not a valid number. A missing field is left to the route.
+export function normalizePhoneField(field = 'phone') {
+    return (req, res, next) => {
+        const value = req.body?.[field];
+        if (value === undefined || value === null || value === '') {
+            return next();
+        }
+
+        const normalized = normalizePhone(value);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error, [field]: value });
+        }
+
+        req.body[field] = normalized.waId;
+        next();
+    };
+}
+
+// The same for a route parameter, e.g. /api/contacts/:waId
+export function normalizePhoneParam(param) {
+    return (req, res, next) => {
+        const normalized = normalizePhone(req.params[param]);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error, [param]: req.params[param] });
+        }
+
+        req.params[param] = normalized.waId;
+        next();
+    };
+}
@@ -0,0 +1,195 @@
+import { Timestamp } from '../services/time.js';
+
+// Fixed-window rate limiting for the outgoing endpoints.
+//
+// Limits are written as "<count>/<window seconds>", e.g. "60/60" for 60
+// requests a minute; a bare number means per minute. Counters live in a
+// pluggable store (hit / release) so several instances can share them:
+//   memory    - per process (default)
+//   firestore - `rate_limits` collection (add a TTL policy on `expiresAt`)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function parseLimit(value, defaultWindowSeconds = 60) {
+    if (!value) {
+        return null;
+    }
+    const [count, windowSeconds = defaultWindowSeconds] = String(value).split('/').map(Number);
+    if (!count || !windowSeconds) {
+        throw new Error(`Invalid rate limit: ${value}`);
+    }
+    return { limit: count, windowMs: windowSeconds * 1000 };
+}
+
+export function createMemoryStore() {
+    const counters = new Map();
+
+    // Drop expired windows now and then
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        async hit(key, windowMs) {
+            const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+            const counterKey = `${key}@${windowStart}`;
+            const counter = counters.get(counterKey) || { count: 0, resetAt: windowStart + windowMs };
+
+            counter.count++;
+            counters.set(counterKey, counter);
+            return { ...counter };
+        },
+
+        async release(key, windowMs, resetAt) {
+            const counter = counters.get(`${key}@${resetAt - windowMs}`);
+            if (counter?.count > 0) {
+                counter.count--;
+            }
+        }
+    };
+}
+
+export function createFirestoreStore(db) {
+    const collection = db.collection('rate_limits');
+
+    return {
+        async hit(key, windowMs) {
+            const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+            const resetAt = windowStart + windowMs;
+            // Document ids cannot contain slashes
+            const ref = collection.doc(`${key}@${windowStart}`.replace(/\//g, '_'));
+
+            const count = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(ref);
+                const next = (doc.exists ? doc.data().count : 0) + 1;
+                transaction.set(ref, {
+                    key,
+                    count: next,
+                    windowStart: Timestamp.fromMillis(windowStart),
+                    expiresAt: Timestamp.fromMillis(resetAt)
+                });
+                return next;
+            });
+
+            return { count, resetAt };
+        },
+
+        async release(key, windowMs, resetAt) {
+            const ref = collection.doc(`${key}@${resetAt - windowMs}`.replace(/\//g, '_'));
+
+            await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(ref);
+                if (doc.exists && doc.data().count > 0) {
+                    transaction.update(ref, { count: doc.data().count - 1 });
+                }
+            });
+        }
+    };
+}
+
+export function createRateLimitStore(db, backend = process.env.RATE_LIMIT_STORE || 'memory') {
+    switch (backend) {
+        case 'memory':
+            return createMemoryStore();
+        case 'firestore':
+            return createFirestoreStore(db);
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+    }
+}
+
+// rules: { [name]: { limit, windowMs, key: (req) => string | null } }
+export function createRateLimiter({ store, rules }) {
+    // Count one hit against a rule. Resolves to { allowed, limit, remaining, resetAt, retryAfter }.
+    async function consume(name, key) {
+        const rule = rules[name];
+        if (!rule || !key) {
+            return { allowed: true };
+        }
+
+        const { count, resetAt } = await store.hit(`${name}:${key}`, rule.windowMs);
+        return {
+            allowed: count <= rule.limit,
+            rule: name,
+            limit: rule.limit,
+            remaining: Math.max(rule.limit - count, 0),
+            resetAt,
+            retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)
+        };
+    }
+
+    // Take back a hit that consume() counted, e.g. for a send that failed
+    async function refund(name, key, { resetAt } = {}) {
+        const rule = rules[name];
+        if (!rule || !key || !resetAt) {
+            return;
+        }
+        await store.release(`${name}:${key}`, rule.windowMs, resetAt);
+    }
+
+    return {
+        consume,
+        refund,
+
+        // Middleware enforcing the named rules, in order
+        limit: (...names) => async (req, res, next) => {
+            try {
+                for (const name of names) {
+                    const rule = rules[name];
+                    if (!rule) {
+                        continue;
+                    }
+
+                    const result = await consume(name, rule.key(req));
+                    if (result.limit === undefined) {
+                        continue;
+                    }
+
+                    res.set({
+                        'RateLimit-Limit': String(result.limit),
+                        'RateLimit-Remaining': String(result.remaining),
+                        'RateLimit-Reset': String(result.retryAfter)
+                    });
+
+                    if (!result.allowed) {
+                        res.set('Retry-After', String(result.retryAfter));
+                        return res.status(429).json({
+                            error: 'Too many requests',
+                            limit: name,
+                            retryAfter: result.retryAfter
+                        });
+                    }
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
+
+// The limits used by server.js, from env
+export function rateLimitRulesFromEnv(env = process.env) {
+    const rules = {};
+    const add = (name, value, key, defaultWindowSeconds) => {
+        const parsed = parseLimit(value, defaultWindowSeconds);
+        if (parsed) {
+            rules[name] = { ...parsed, key };
+        }
+    };
+
+    add('apiKey', env.RATE_LIMIT_PER_KEY || '60/60', req => req.user?.id || null);
+    add('ip', env.RATE_LIMIT_PER_IP || '120/60', req => req.ip || null);
+    // Recipients are counted per tenant (see services/tenants.js)
+    const recipient = req => req.body?.phone ? `${req.tenant?.id}:${String(req.body.phone).replace(/[^\d]/g, '')}` : null;
+    add('phone', env.RATE_LIMIT_PER_PHONE || '10/60', recipient);
+    add('templateDaily', env.TEMPLATE_DAILY_CAP_PER_RECIPIENT || `3/${DAY_MS / 1000}`, recipient, DAY_MS / 1000);
+
+    return rules;
+}
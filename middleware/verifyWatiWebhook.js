@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+import { Timestamp } from '../services/time.js';
+
+// Verification layer for POST /webhook/:tenantId, one verifier per tenant
+// with that tenant's secrets (see services/tenants.js).
+//
+// A delivery is accepted when either:
+//   - the signature header holds an HMAC-SHA256 (hex or base64, optionally
+//     prefixed with "sha256=") of the raw request body made with one of the
+//     configured secrets, or
+//   - the shared secret header (or ?secret= query param) equals one of them.
+//
+// Several secrets can be configured at once (comma separated) so keys can be
+// rotated without dropping deliveries. A tenant without secrets is refused at
+// startup unless verification is turned off with WATI_WEBHOOK_VERIFY=off.
+//
+// Replays are not rejected here: WATI retries and late status callbacks carry
+// the time of the message, not of the delivery, so a replayed delivery is
+// only dropped as a duplicate of its event (see POST /webhook in server.js).
+
+const DEFAULT_SIGNATURE_HEADER = 'x-wati-signature';
+const DEFAULT_SECRET_HEADER = 'x-wati-secret';
+
+export function parseSecrets(value) {
+    return (value || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean);
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    if (bufA.length !== bufB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function matchesSignature(signature, rawBody, secrets) {
+    const provided = signature.replace(/^sha256=/i, '').trim();
+
+    return secrets.some(secret => {
+        const hmac = crypto.createHmac('sha256', secret).update(rawBody);
+        const digest = hmac.digest();
+        return safeEqual(provided, digest.toString('hex')) ||
+            safeEqual(provided, digest.toString('base64'));
+    });
+}
+
+export function createWatiWebhookVerifier({
+    db,
+    tenantId = null,
+    secrets = parseSecrets(process.env.WATI_WEBHOOK_SECRETS),
+    signatureHeader = process.env.WATI_WEBHOOK_SIGNATURE_HEADER || DEFAULT_SIGNATURE_HEADER,
+    secretHeader = process.env.WATI_WEBHOOK_SECRET_HEADER || DEFAULT_SECRET_HEADER,
+    verify = process.env.WATI_WEBHOOK_VERIFY !== 'off'
+}) {
+    const forTenant = tenantId ? ` for tenant '${tenantId}'` : '';
+    if (!verify) {
+        console.warn(`⚠️ WATI_WEBHOOK_VERIFY=off: webhooks${forTenant} are accepted WITHOUT verification.`);
+    } else if (secrets.length === 0) {
+        throw new Error(`No webhook secrets are set${forTenant}: set WATI_WEBHOOK_SECRETS (or webhookSecrets in WATI_TENANTS), or WATI_WEBHOOK_VERIFY=off to accept unverified webhooks`);
+    }
+
+    async function reject(req, res, reason) {
+        console.warn(`🚫 Rejected webhook delivery: ${reason}`);
+
+        try {
+            await db.collection('wati_webhook_rejections').add({
+                reason,
+                ip: req.ip || null,
+                path: req.path,
+                headers: {
+                    userAgent: req.get('user-agent') || null,
+                    signature: req.get(signatureHeader) || null
+                },
+                eventType: req.body?.eventType || null,
+                rawBody: req.rawBody ? req.rawBody.toString('utf8').slice(0, 10000) : null,
+                timestamp: Timestamp.now()
+            });
+        } catch (error) {
+            console.error('Failed to log webhook rejection:', error);
+        }
+
+        return res.status(401).json({ error: 'Unauthorized', reason });
+    }
+
+    return async function verifyWatiWebhook(req, res, next) {
+        if (!verify) {
+            return next();
+        }
+
+        const rawBody = req.rawBody || Buffer.from('');
+        const signature = req.get(signatureHeader);
+        const sharedSecret = req.get(secretHeader) || req.query?.secret;
+
+        if (signature) {
+            if (!matchesSignature(signature, rawBody, secrets)) {
+                return reject(req, res, 'invalid_signature');
+            }
+        } else if (sharedSecret) {
+            if (!secrets.some(secret => safeEqual(String(sharedSecret), secret))) {
+                return reject(req, res, 'invalid_secret');
+            }
+        } else {
+            return reject(req, res, 'missing_signature');
+        }
+
+        return next();
+    };
+}
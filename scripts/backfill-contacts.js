@@ -0,0 +1,152 @@
+import dotenv from 'dotenv';
+import { Timestamp, toMillis } from '../services/time.js';
+import { FieldPath } from '../services/database.js';
+import { initFirestore } from '../services/firebase.js';
+import { databaseForTenant } from '../services/tenants.js';
+import { contactNameFromMessage } from '../services/contacts.js';
+
+// One-off: rebuild the `contacts` collection from whatsapp_messages.
+//
+//   npm run backfill:contacts [-- [--dry-run] [--tenant=<id>]]
+//
+// Inbound messages stored with seen: false are counted as unread, the same
+// rule markConversationRead() uses (services/contacts.js). Conversation
+// status, assignee and tags are copied from the conversations collection (see
+// services/conversations.js).
+
+dotenv.config();
+
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+const db = databaseForTenant(initFirestore());
+
+async function collectContacts() {
+    const contacts = new Map();
+    let lastDoc = null;
+    let scanned = 0;
+
+    while (true) {
+        let query = db.collection('whatsapp_messages')
+            .orderBy(FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const doc of snapshot.docs) {
+            const msg = doc.data();
+            if (!msg.waId || msg.waId === 'unknown') {
+                continue;
+            }
+
+            const waId = String(msg.waId);
+            const millis = toMillis(msg.timestamp);
+            const contact = contacts.get(waId) || {
+                waId,
+                name: null,
+                nameMillis: 0,
+                last: null,
+                lastMillis: -1,
+                lastIncomingMillis: -1,
+                unread: 0
+            };
+
+            const name = contactNameFromMessage(msg);
+            if (name && millis >= contact.nameMillis) {
+                contact.name = name;
+                contact.nameMillis = millis;
+            }
+            if (millis > contact.lastMillis) {
+                contact.last = { id: doc.id, ...msg };
+                contact.lastMillis = millis;
+            }
+            if (msg.direction === 'incoming') {
+                contact.lastIncomingMillis = Math.max(contact.lastIncomingMillis, millis);
+                if (msg.seen === false) {
+                    contact.unread++;
+                }
+            }
+
+            contacts.set(waId, contact);
+        }
+
+        scanned += snapshot.size;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log(`Scanned ${scanned} messages, ${contacts.size} contacts so far...`);
+    }
+
+    return contacts;
+}
+
+// waId → conversation doc data
+async function loadConversations() {
+    const snapshot = await db.collection('conversations').get();
+    return new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+}
+
+async function writeContacts(contacts, conversations) {
+    let batch = db.batch();
+    let pending = 0;
+    let written = 0;
+
+    for (const contact of contacts.values()) {
+        const last = contact.last;
+        const name = contact.name || contact.waId;
+        const text = last.text || last.caption || (last.type && last.type !== 'text' ? `[${last.type}]` : '');
+        const conversation = conversations.get(contact.waId);
+
+        batch.set(db.collection('contacts').doc(contact.waId), {
+            waId: contact.waId,
+            name,
+            nameLower: name.toLowerCase(),
+            lastMessage: String(text).slice(0, 200),
+            lastMessageId: last.id,
+            lastTimestamp: Timestamp.fromMillis(contact.lastMillis),
+            lastDirection: last.direction || null,
+            unreadCount: contact.unread,
+            lastInboundAt: contact.lastIncomingMillis >= 0 ? Timestamp.fromMillis(contact.lastIncomingMillis) : null,
+            conversationStatus: conversation?.status || 'open',
+            assignee: conversation?.assignee || null,
+            assigneeId: conversation?.assignee?.id || null,
+            tags: conversation?.tags || [],
+            updatedAt: Timestamp.now()
+        });
+
+        pending++;
+        if (pending === BATCH_SIZE) {
+            await batch.commit();
+            written += pending;
+            console.log(`Wrote ${written}/${contacts.size} contacts`);
+            batch = db.batch();
+            pending = 0;
+        }
+    }
+
+    if (pending > 0) {
+        await batch.commit();
+        written += pending;
+    }
+    return written;
+}
+
+try {
+    const contacts = await collectContacts();
+
+    if (dryRun) {
+        console.log(`Dry run: would write ${contacts.size} contacts`);
+    } else {
+        const written = await writeContacts(contacts, await loadConversations());
+        console.log(`✅ Backfill complete: ${written} contacts written`);
+    }
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Contacts backfill failed:', error);
+    process.exit(1);
+}
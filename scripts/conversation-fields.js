@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import { FieldPath } from '../services/database.js';
+import { initFirestore } from '../services/firebase.js';
+import { databaseForTenant } from '../services/tenants.js';
+
+// One-off: give contacts created before conversations had a status and an
+// assignee the conversation fields GET /api/contacts filters on
+// (conversationStatus, assignee, assigneeId, tags). Without them such contacts
+// never match ?status= or ?assignee=. Fields a contact already has are left
+// alone; missing ones come from its `conversations/{waId}` doc, if any, else
+// an open, unassigned conversation without tags.
+//
+//   npm run migrate:conversation-fields [-- [--dry-run] [--tenant=<id>]]
+
+dotenv.config();
+
+const PAGE_SIZE = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+const db = databaseForTenant(initFirestore());
+
+// The conversation fields `contact` lacks, or null if it has them all
+async function missingFields(doc) {
+    const contact = doc.data();
+    const missing = ['conversationStatus', 'assignee', 'assigneeId', 'tags'].filter(field => contact[field] === undefined);
+    if (missing.length === 0) {
+        return null;
+    }
+
+    const conversationDoc = await db.collection('conversations').doc(doc.id).get();
+    const conversation = conversationDoc.exists ? conversationDoc.data() : {};
+    const values = {
+        conversationStatus: conversation.status || 'open',
+        assignee: conversation.assignee || null,
+        assigneeId: conversation.assignee?.id || null,
+        tags: conversation.tags || []
+    };
+    return Object.fromEntries(missing.map(field => [field, values[field]]));
+}
+
+try {
+    const counts = { updated: 0, complete: 0 };
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('contacts')
+            .orderBy(FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        for (const doc of snapshot.docs) {
+            const fields = await missingFields(doc);
+            if (!fields) {
+                counts.complete++;
+                continue;
+            }
+
+            if (dryRun) {
+                console.log(`${doc.id}: would set ${Object.keys(fields).join(', ')}`);
+            } else {
+                batch.update(doc.ref, fields);
+            }
+            counts.updated++;
+        }
+        if (!dryRun) {
+            await batch.commit();
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log('Progress:', counts);
+    }
+
+    console.log(`${dryRun ? 'Dry run' : '✅ Migration'} complete:`, counts);
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Conversation fields migration failed:', error);
+    process.exit(1);
+}
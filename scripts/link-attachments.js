@@ -0,0 +1,127 @@
+import dotenv from 'dotenv';
+import { Timestamp } from '../services/time.js';
+import { FieldPath } from '../services/database.js';
+import { initFirestore } from '../services/firebase.js';
+import { databaseForTenant } from '../services/tenants.js';
+import { messageDocId } from '../services/messageIds.js';
+
+// One-off: link existing whatsapp_attachments docs to their whatsapp_messages
+// entries so media shows up in the conversation timeline.
+//
+//   npm run migrate:link-attachments [-- [--dry-run] [--tenant=<id>]]
+//
+// Attachments whose message doc is missing get one created from the stored
+// webhook event (marked as seen, so old media does not count as unread).
+
+dotenv.config();
+
+const PAGE_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+const db = databaseForTenant(initFirestore());
+const messages = db.collection('whatsapp_messages');
+
+function eventTimestamp(event) {
+    const value = event?.timestamp;
+    if (value === undefined || value === null || value === '') {
+        return event?.receivedAt || Timestamp.now();
+    }
+    const num = Number(value);
+    if (!isNaN(num)) {
+        return Timestamp.fromMillis(num < 9999999999 ? num * 1000 : num);
+    }
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? Timestamp.now() : Timestamp.fromMillis(parsed);
+}
+
+async function findMessageEvent(messageId) {
+    const snapshot = await db.collection('wati_webhook_events')
+        .where('id', '==', messageId)
+        .limit(5)
+        .get();
+    return snapshot.docs.map(doc => doc.data()).find(event => event.eventType === 'message') || null;
+}
+
+async function linkAttachment(doc) {
+    const attachment = doc.data();
+    const whatsappMessageId = String(attachment.whatsapp_message_id || doc.id);
+    const messageId = messageDocId(whatsappMessageId);
+    const messageRef = messages.doc(messageId);
+    const message = await messageRef.get();
+
+    if (message.exists) {
+        const data = message.data();
+        if (!dryRun) {
+            await messageRef.update({
+                attachmentId: doc.id,
+                caption: attachment.caption || '',
+                type: data.type || attachment.type
+            });
+            await doc.ref.update({
+                messageId,
+                waId: data.waId || null,
+                direction: data.direction || 'incoming'
+            });
+        }
+        return 'linked';
+    }
+
+    const event = await findMessageEvent(whatsappMessageId);
+    if (!event?.waId) {
+        return 'unresolved';
+    }
+
+    if (!dryRun) {
+        await messageRef.set({
+            id: whatsappMessageId,
+            waId: event.waId,
+            text: attachment.caption || '',
+            caption: attachment.caption || '',
+            type: attachment.type,
+            attachmentId: doc.id,
+            timestamp: eventTimestamp(event),
+            status: 'received',
+            direction: 'incoming',
+            seen: true,
+            rawData: event
+        });
+        await doc.ref.update({ messageId, waId: event.waId, direction: 'incoming' });
+    }
+    return 'created';
+}
+
+try {
+    const counts = { linked: 0, created: 0, unresolved: 0, skipped: 0 };
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('whatsapp_attachments')
+            .orderBy(FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const doc of snapshot.docs) {
+            if (doc.data().messageId) {
+                counts.skipped++;
+                continue;
+            }
+            counts[await linkAttachment(doc)]++;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log('Progress:', counts);
+    }
+
+    console.log(`${dryRun ? 'Dry run' : '✅ Migration'} complete:`, counts);
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Attachment migration failed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,205 @@
+import dotenv from 'dotenv';
+import { Timestamp, toMillis } from '../services/time.js';
+import { FieldPath } from '../services/database.js';
+import { initFirestore } from '../services/firebase.js';
+import { databaseForTenant } from '../services/tenants.js';
+import { normalizeWaId } from '../services/phone.js';
+
+// One-off: merge contacts that are the same number written differently
+// ("+27 77…", "077…", "2777…") into one doc keyed by the canonical waId (see
+// services/phone.js), and move their messages and consent records along.
+// Messages stored under a non-canonical waId are moved too when the contact
+// itself is already canonical.
+//
+//   npm run migrate:merge-contacts [-- [--dry-run] [--tenant=<id>]]
+
+dotenv.config();
+
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+const db = databaseForTenant(initFirestore());
+
+// canonical waId → [contact doc snapshots]
+async function groupContacts() {
+    const groups = new Map();
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('contacts')
+            .orderBy(FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const doc of snapshot.docs) {
+            const waId = normalizeWaId(doc.id);
+            groups.set(waId, [...(groups.get(waId) || []), doc]);
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    // Only numbers that are stored under a non-canonical id need work
+    return [...groups].filter(([waId, docs]) => docs.some(doc => doc.id !== waId));
+}
+
+// canonical waId → the non-canonical waIds its messages are stored under
+async function groupMessageWaIds() {
+    const groups = new Map();
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('whatsapp_messages')
+            .orderBy(FieldPath.documentId())
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const doc of snapshot.docs) {
+            const stored = doc.data().waId;
+            if (stored === undefined || stored === null) {
+                continue;
+            }
+
+            const waId = normalizeWaId(stored);
+            if (waId !== stored) {
+                groups.set(waId, new Set([...(groups.get(waId) || []), stored]));
+            }
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return groups;
+}
+
+function latest(docs, field) {
+    return docs
+        .filter(doc => doc.data()[field])
+        .reduce((best, doc) => !best || toMillis(doc.data()[field]) > toMillis(best.data()[field]) ? doc : best, null);
+}
+
+function mergeContact(waId, docs) {
+    const last = latest(docs, 'lastTimestamp') || docs[0];
+    const named = docs.filter(doc => doc.data().name && doc.data().name !== doc.id);
+    const name = (named.length > 0 ? (latest(named, 'lastTimestamp') || named[0]).data().name : null) || waId;
+    const lastInbound = latest(docs, 'lastInboundAt');
+    const lastRead = latest(docs, 'lastReadAt');
+
+    return {
+        ...last.data(),
+        waId,
+        name,
+        nameLower: name.toLowerCase(),
+        unreadCount: docs.reduce((sum, doc) => sum + (doc.data().unreadCount || 0), 0),
+        lastInboundAt: lastInbound ? lastInbound.data().lastInboundAt : null,
+        lastReadAt: lastRead ? lastRead.data().lastReadAt : null,
+        ...(lastRead?.data().lastReadMessageId && { lastReadMessageId: lastRead.data().lastReadMessageId }),
+        updatedAt: Timestamp.now()
+    };
+}
+
+// Point every message of the old ids at the canonical waId
+async function moveMessages(waId, oldIds) {
+    let moved = 0;
+
+    for (const oldId of oldIds) {
+        const snapshot = await db.collection('whatsapp_messages').where('waId', '==', oldId).get();
+        for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+            if (!dryRun) {
+                const batch = db.batch();
+                for (const doc of snapshot.docs.slice(i, i + BATCH_SIZE)) {
+                    batch.update(doc.ref, { waId });
+                }
+                await batch.commit();
+            }
+        }
+        moved += snapshot.size;
+    }
+    return moved;
+}
+
+// The most recent consent decision wins; the histories are combined
+async function mergeConsent(waId, oldIds) {
+    const refs = [waId, ...oldIds].map(id => db.collection('consent').doc(String(id)));
+    const docs = (await Promise.all(refs.map(ref => ref.get()))).filter(doc => doc.exists);
+    if (docs.length === 0 || (docs.length === 1 && docs[0].id === waId)) {
+        return false;
+    }
+
+    const current = latest(docs, 'updatedAt') || docs[0];
+    const history = docs
+        .flatMap(doc => doc.data().history || [])
+        .sort((a, b) => toMillis(a.at) - toMillis(b.at));
+
+    if (!dryRun) {
+        const batch = db.batch();
+        batch.set(db.collection('consent').doc(waId), { ...current.data(), waId, history });
+        for (const doc of docs.filter(doc => doc.id !== waId)) {
+            batch.delete(doc.ref);
+        }
+        await batch.commit();
+    }
+    return true;
+}
+
+try {
+    const groups = await groupContacts();
+    const counts = { contacts: groups.length, removed: 0, messages: 0, consent: 0 };
+
+    for (const [waId, docs] of groups) {
+        const oldIds = docs.map(doc => doc.id).filter(id => id !== waId);
+        console.log(`${waId} ← ${oldIds.join(', ')}`);
+
+        counts.messages += await moveMessages(waId, oldIds);
+        if (await mergeConsent(waId, oldIds)) {
+            counts.consent++;
+        }
+
+        if (!dryRun) {
+            const batch = db.batch();
+            batch.set(db.collection('contacts').doc(waId), mergeContact(waId, docs));
+            for (const doc of docs.filter(doc => doc.id !== waId)) {
+                batch.delete(doc.ref);
+            }
+            await batch.commit();
+        }
+        counts.removed += oldIds.length;
+    }
+
+    // Contacts that were canonical already can still have messages under an
+    // old form of their number
+    const merged = new Set(groups.flatMap(([, docs]) => docs.map(doc => doc.id)));
+    for (const [waId, storedIds] of await groupMessageWaIds()) {
+        const oldIds = [...storedIds].filter(id => !merged.has(String(id)));
+        if (oldIds.length === 0) {
+            continue;
+        }
+        console.log(`${waId} ← ${oldIds.join(', ')} (messages only)`);
+
+        counts.messages += await moveMessages(waId, oldIds);
+        if (await mergeConsent(waId, oldIds)) {
+            counts.consent++;
+        }
+    }
+
+    console.log(`${dryRun ? 'Dry run' : '✅ Merge'} complete:`, counts);
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Contact merge failed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,203 @@
+import dotenv from 'dotenv';
+import { Timestamp, toMillis } from '../services/time.js';
+import { FieldPath } from '../services/database.js';
+import { initFirestore } from '../services/firebase.js';
+import { databaseForTenant } from '../services/tenants.js';
+import { canTransition, normalizeStatus } from '../services/messageStatus.js';
+import { getSentMessageIds } from '../services/wati.js';
+import { indexMessageIds, messageIdsOf } from '../services/messageIds.js';
+
+// One-off: merge outgoing whatsapp_messages docs that are the same message.
+// Sends used to be stored under random ids, so their sent echo and status
+// webhooks created second docs (waId "unknown" when the status came first).
+// Docs sharing any WATI id are merged into the send record, their status
+// histories replayed in order, and every id indexed (see services/messageIds.js).
+//
+//   npm run migrate:merge-messages [-- [--dry-run] [--tenant=<id>]]
+
+dotenv.config();
+
+const PAGE_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const db = databaseForTenant(initFirestore());
+const messages = db.collection('whatsapp_messages');
+
+// Raw webhook payloads stored on a message, one per status
+const RAW_FIELDS = ['rawSentData', 'rawDeliveryData', 'rawReadData', 'rawReplyData', 'rawFailureData', 'rawDeleteData'];
+
+function idsOf(doc) {
+    const data = doc.data();
+    const rawData = data.rawData || {};
+    return [
+        doc.id,
+        data.id,
+        ...getSentMessageIds(rawData.watiResponse || rawData.whatsappResponse),
+        ...(rawData.watiResponse || rawData.whatsappResponse ? [] : messageIdsOf(rawData)),
+        ...RAW_FIELDS.flatMap(field => messageIdsOf(data[field]))
+    ].filter(Boolean).map(String);
+}
+
+// Groups of doc ids that share a WATI id
+async function findDuplicates() {
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const union = (a, b) => {
+        for (const id of [a, b]) {
+            if (!parent.has(id)) {
+                parent.set(id, id);
+            }
+        }
+        parent.set(find(a), find(b));
+    };
+
+    const docIds = [];
+    let lastDoc = null;
+    let scanned = 0;
+
+    while (true) {
+        let query = messages.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        for (const doc of snapshot.docs) {
+            if (doc.data().direction === 'incoming') {
+                continue;
+            }
+            docIds.push(doc.id);
+            for (const id of idsOf(doc)) {
+                union(doc.id, id);
+            }
+        }
+
+        scanned += snapshot.size;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        console.log(`Scanned ${scanned} messages...`);
+    }
+
+    const groups = new Map();
+    for (const docId of docIds) {
+        const root = find(docId);
+        groups.set(root, [...(groups.get(root) || []), docId]);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+// The doc we sent ourselves, else one with a real waId
+function pickPrimary(docs) {
+    return docs.find(doc => doc.data().rawData?.watiResponse || doc.data().rawData?.whatsappResponse) ||
+        docs.find(doc => doc.data().waId && doc.data().waId !== 'unknown' && doc.data().direction) ||
+        docs[0];
+}
+
+function mergeMessages(primary, docs) {
+    const merged = { ...primary.data() };
+
+    // Fill what the primary is missing from the others
+    for (const doc of docs.filter(doc => doc !== primary)) {
+        const data = doc.data();
+        for (const [field, value] of Object.entries(data)) {
+            if (field === 'statusHistory' || field === 'status') {
+                continue;
+            }
+            if (merged[field] === undefined || merged[field] === null || merged[field] === '' ||
+                (field === 'waId' && merged.waId === 'unknown')) {
+                merged[field] = value;
+            }
+        }
+    }
+
+    // Replay every status change in time order
+    const history = docs
+        .flatMap(doc => {
+            const data = doc.data();
+            return data.statusHistory?.length > 0
+                ? data.statusHistory
+                : [{ from: null, to: data.status, at: data.timestamp || Timestamp.now(), eventType: null }];
+        })
+        .filter(entry => normalizeStatus(entry.to))
+        .sort((a, b) => toMillis(a.at) - toMillis(b.at));
+
+    let status = null;
+    const statusHistory = [];
+    for (const entry of history) {
+        const to = normalizeStatus(entry.to);
+        if (canTransition(status, to)) {
+            statusHistory.push({ ...entry, from: status, to });
+            status = to;
+        }
+    }
+
+    merged.id = primary.id;
+    merged.status = status || merged.status;
+    merged.statusHistory = statusHistory;
+    return merged;
+}
+
+async function mergeGroup(docIds) {
+    const docs = (await Promise.all(docIds.map(id => messages.doc(id).get()))).filter(doc => doc.exists);
+    if (docs.length < 2) {
+        return 0;
+    }
+
+    const primary = pickPrimary(docs);
+    const duplicates = docs.filter(doc => doc !== primary);
+    const merged = mergeMessages(primary, docs);
+    console.log(`${primary.id} ← ${duplicates.map(doc => doc.id).join(', ')} (${merged.status})`);
+
+    if (dryRun) {
+        return duplicates.length;
+    }
+
+    const batch = db.batch();
+    batch.set(primary.ref, merged);
+    for (const doc of duplicates) {
+        batch.delete(doc.ref);
+    }
+    await batch.commit();
+    await indexMessageIds(db, primary.id, docs.flatMap(idsOf));
+
+    // Repoint what referenced the removed docs
+    for (const doc of duplicates) {
+        const attachments = await db.collection('whatsapp_attachments').where('messageId', '==', doc.id).get();
+        for (const attachment of attachments.docs) {
+            await attachment.ref.update({ messageId: primary.id });
+        }
+    }
+    if (merged.waId && merged.waId !== 'unknown') {
+        const contactRef = db.collection('contacts').doc(String(merged.waId));
+        const contact = await contactRef.get();
+        if (contact.exists && duplicates.some(doc => doc.id === contact.data().lastMessageId)) {
+            await contactRef.update({ lastMessageId: primary.id });
+        }
+    }
+
+    return duplicates.length;
+}
+
+try {
+    const groups = await findDuplicates();
+    let removed = 0;
+
+    for (const group of groups) {
+        removed += await mergeGroup(group);
+    }
+
+    console.log(`${dryRun ? 'Dry run' : '✅ Merge'} complete: ${groups.length} messages, ${removed} duplicates ${dryRun ? 'to remove' : 'removed'}`);
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Message merge failed:', error);
+    process.exit(1);
+}
@@ -1,13 +1,28 @@
 import express from 'express';
 import { createServer } from 'node:http';
 import cors from 'cors';
-import { Timestamp } from 'firebase-admin/firestore';
-import { initializeApp, cert } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
+import multer from 'multer';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import { URL } from 'url';
-import { parse } from 'querystring';
+import { attribution, createAuth, hasRole } from './middleware/auth.js';
+import { normalizePhoneField, normalizePhoneParam } from './middleware/normalizePhone.js';
+import { createRateLimitStore, createRateLimiter, rateLimitRulesFromEnv } from './middleware/rateLimit.js';
+import { createRealtimeHub } from './services/realtime.js';
+import { formatMessage, listMessages, parseMessageListQuery } from './services/messages.js';
+import { initDatabase } from './services/database.js';
+import { Timestamp } from './services/time.js';
+import { getSentMessageId } from './services/wati.js';
+import { normalizeParameters } from './services/templates.js';
+import { parseCsv } from './services/csv.js';
+import { MAX_MEDIA_BYTES, checkMediaUrl, classifyMedia, fetchRemoteMedia, mediaStorageKey, sha256 } from './services/media.js';
+import { createMediaStorage } from './services/mediaStorage.js';
+import { CONSENT_STATUSES } from './services/consent.js';
+import { normalizePhone } from './services/phone.js';
+import { SCHEDULED_MESSAGE_STATUSES } from './services/scheduledMessages.js';
+import { messageDocId } from './services/messageIds.js';
+import { getContact, getServiceWindow, listContacts, markConversationRead, parseContactListQuery, updateContactFromMessage } from './services/contacts.js';
+import { loadTenants } from './services/tenants.js';
+import { createTenantRuntime } from './services/tenantRuntime.js';
 
 dotenv.config();
 
@@ -19,331 +34,253 @@ const PORT = process.env.PORT || 3000;
 const httpServer = createServer(server);
 
 // Middleware
-server.use(cors());
-server.use(express.json());
-
-// Firebase initialization
-console.log("🔥 Initializing Firebase...");
-console.log("🔥 FIREBASE_PROJECT_ID:", process.env.FIREBASE_PROJECT_ID);
-console.log("🔥 FIREBASE_CLIENT_EMAIL:", process.env.FIREBASE_CLIENT_EMAIL);
-console.log("🔥 FIREBASE_PRIVATE_KEY (partial):", process.env.FIREBASE_PRIVATE_KEY?.slice(0, 30), "...");
-
-if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
-    console.error("❌ Missing Firebase environment variables.");
-    process.exit(1);
+// TRUST_PROXY: Express "trust proxy" setting, so per-IP limits see the client address behind a load balancer
+if (process.env.TRUST_PROXY) {
+    server.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 }
 
-let db;
-try {
-    const firebaseApp = initializeApp({
-        credential: cert({
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-        }),
-    });
-    console.log("✅ Firebase initialized successfully.");
+// CORS_ORIGINS: comma separated list of allowed origins (all origins when unset)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
-    db = getFirestore(firebaseApp);
-    server.locals.db = db; // Make db available in routes
-} catch (error) {
-    console.error("❌ Firebase initialization error:", error);
-    process.exit(1);
+if (CORS_ORIGINS.length === 0) {
+    console.warn('⚠️ CORS_ORIGINS is not set: requests from every origin are allowed.');
 }
 
-// WATI Configuration
-const WATI_BASE_URL = 'https://live-mt-server.wati.io/361402/api/v1';
-const WATI_API_TOKEN = process.env.WATI_API_TOKEN;
-
-const supportedMediaTypes = ['image', 'audio', 'video', 'voice', 'document', 'sticker'];
-
-// Helper function for safe timestamp conversion
-function safeTimestampConversion(timestamp) {
-    try {
-        // If it's already a Firestore Timestamp
-        if (timestamp instanceof Timestamp) {
-            return timestamp;
-        }
-
-        // If it's undefined or null, return current time
-        if (timestamp === undefined || timestamp === null) {
-            return Timestamp.now();
-        }
-
-        // If it's a string that might be a number
-        if (typeof timestamp === 'string') {
-            // Remove any non-numeric characters
-            const numericTimestamp = timestamp.replace(/\D/g, '');
+server.use(cors({
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : true
+}));
+server.use(express.json({
+    // Keep the raw body around so webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
-            // Convert to number
-            const timestampNum = parseInt(numericTimestamp);
+// Database (see services/database.js)
+const db = initDatabase();
+server.locals.db = db; // Make db available in routes
 
-            if (isNaN(timestampNum)) {
-                return Timestamp.now();
-            }
+// WATI accounts, one per clinic (see services/tenants.js)
+const tenantRegistry = loadTenants();
 
-            // If it's in seconds format (10 digits), convert to milliseconds
-            if (numericTimestamp.length === 10) {
-                return Timestamp.fromMillis(timestampNum * 1000);
-            }
-            // Otherwise assume it's milliseconds
-            return Timestamp.fromMillis(timestampNum);
-        }
+// API authentication and roles (see middleware/auth.js)
+const auth = createAuth();
+const { requireRole } = auth;
 
-        // If it's a number
-        if (typeof timestamp === 'number') {
-            // If it's in seconds format (10 digits), convert to milliseconds
-            if (timestamp < 9999999999) {
-                return Timestamp.fromMillis(timestamp * 1000);
-            }
-            return Timestamp.fromMillis(timestamp);
-        }
-
-        // Fallback to current time
-        return Timestamp.now();
-    } catch (error) {
-        console.error('Timestamp conversion error:', error);
-        return Timestamp.now();
+// Rate limits and send quotas (see middleware/rateLimit.js)
+const rateLimiter = createRateLimiter({
+    store: createRateLimitStore(db),
+    rules: rateLimitRulesFromEnv()
+});
+// Send routes take `phone` in any format; it is normalized before the limits apply
+const limitSends = [normalizePhoneField('phone'), rateLimiter.limit('apiKey', 'ip', 'phone')];
+const limitBulk = rateLimiter.limit('apiKey', 'ip');
+// For uploads: limitBulk goes before the file is read, this once the form
+// (and with it `phone`) has been parsed
+const limitRecipient = [normalizePhoneField('phone'), rateLimiter.limit('phone')];
+
+// A send may name one of the tenant's channel numbers (in any format); others are refused
+function requireTenantChannel(req, res, next) {
+    const channelNumber = req.body?.channelNumber;
+    if (!channelNumber) {
+        return next();
     }
-}
 
-// Add this helper function (can be placed with other utility functions)
-async function getAttachmentUrl(filename, mediaType) {
-    try {
-        const response = await axios.get(
-            `${WATI_BASE_URL}/getAttachmentUrl`,
-            {
-                params: { filename },
-                headers: {
-                    Authorization: `Bearer ${WATI_API_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        return response.data.attachment_url;
-    } catch (error) {
-        console.error('Error fetching attachment URL:', error);
-        return null;
+    const digits = (value) => String(value).replace(/[^\d]/g, '');
+    const match = req.tenant.channelNumbers.find(number => digits(number) === digits(channelNumber));
+    if (!match) {
+        return res.status(400).json({
+            error: `Channel number ${channelNumber} does not belong to this tenant`,
+            channelNumbers: req.tenant.channelNumbers
+        });
     }
+
+    req.body.channelNumber = match;
+    next();
 }
 
-async function handleMediaMessage(db, event) {
-    const msgType = event.type;
-    const dataObj = event;
+function templateQuotaExceeded(res, quota) {
+    res.set('Retry-After', String(quota.retryAfter));
+    return res.status(429).json({
+        error: `Daily template cap of ${quota.limit} reached for this recipient`,
+        limit: 'templateDaily',
+        retryAfter: quota.retryAfter
+    });
+}
 
-    if (!supportedMediaTypes.includes(msgType)) {
-        await db.collection('webhook_responses').add({
-            response: `⚠️ Unhandled type: ${msgType}`,
-            rawData: event,
-            timestamp: Timestamp.now()
-        });
-        return { status: 'unhandled_media_type', type: msgType };
+// Realtime push to dashboards (see services/realtime.js)
+// Clients authenticate with the same API keys / ID tokens as the REST API
+const realtime = createRealtimeHub({
+    httpServer,
+    authenticate: async (req, url) => {
+        const credential = url.searchParams.get('token') ||
+            req.headers['x-api-key'] ||
+            req.headers.authorization?.replace(/^Bearer\s+/i, '');
+        const user = await auth.resolveCredentials(credential);
+        const tenant = tenantRegistry.tenantFor(user);
+        return hasRole(user, 'viewer') && tenant ? { ...user, tenantId: tenant.id } : null;
     }
+});
 
-    const dataUrl = dataObj.data || '';
-    let filename;
+// Multipart uploads are kept in memory (CSV recipient lists)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
 
-    try {
-        const parsedUrl = new URL(dataUrl);
-        const queryParams = parse(parsedUrl.search.slice(1));
-        filename = queryParams.fileName || parsedUrl.pathname.split('/').pop();
-    } catch (e) {
-        filename = dataUrl.split('/').pop() || `media_${Date.now()}`;
-    }
+// Archived attachment files (see services/mediaStorage.js)
+const mediaStorage = createMediaStorage();
+
+// Per-tenant WATI client, webhook handling and services (see services/tenantRuntime.js)
+const tenants = new Map(tenantRegistry.tenants.map(tenant => [
+    tenant.id,
+    createTenantRuntime({ tenant, db, realtime, mediaStorage, rateLimiter })
+]));
 
-    let caption = '';
-    if (dataObj[msgType]?.caption) {
-        caption = dataObj[msgType].caption;
-    } else if (dataObj.caption) {
-        caption = dataObj.caption;
+// Every /api call acts on the caller's tenant, available to routes as req.tenant
+server.use('/api', auth.authenticate, (req, res, next) => {
+    const tenant = tenants.get(tenantRegistry.tenantFor(req.user)?.id);
+    if (!tenant) {
+        return res.status(403).json({ error: 'No tenant is assigned to this caller' });
     }
+    req.tenant = tenant;
+    next();
+});
 
-    const attachmentData = {
-        caption,
-        sha256: dataUrl,
-        attachment_id: filename,
-        type: msgType,
-        whatsapp_message_id: event.id || null,
-        timestamp: Timestamp.now(),
-        attachment_url: dataUrl // Use the original URL directly
-    };
+// Outgoing media files, validated per type in services/media.js
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_BYTES }
+});
 
-    await db.collection('webhook_responses').add({
-        response: `Attachment handled: ${JSON.stringify(attachmentData)}`,
-        timestamp: Timestamp.now()
-    });
+const BROADCAST_MAX_RECIPIENTS = parseInt(process.env.BROADCAST_MAX_RECIPIENTS) || 5000;
 
-    try {
-        const attachmentRef = await db.collection('whatsapp_attachments').add(attachmentData);
-        console.log(`Attachment saved with ID: ${attachmentRef.id}`);
-        return {
-            status: 'media_processed',
-            attachmentId: attachmentRef.id,
-            type: msgType
-        };
-    } catch (error) {
-        console.error('Attachment insert failed:', error);
-        return {
-            status: 'media_insert_failed',
-            error: error.message,
-            type: msgType
-        };
+// Answer 403 if the number has opted out. Resolves to true if it did.
+async function refuseIfOptedOut(req, res, phone) {
+    const consent = await req.tenant.consentService.getOptOut(phone);
+    if (!consent) {
+        return false;
     }
-}
 
-// Event Handlers
-async function handleMessage(db, event) {
-    const messageData = {
-        id: event.id,
-        waId: event.waId,
-        text: event.text,
-        type: event.type,
-        timestamp: safeTimestampConversion(event.timestamp),
-        status: 'received',
-        direction: 'incoming',
-        rawData: event
-    };
-
-    await db.collection('whatsapp_messages').doc(event.id).set(messageData);
-    return { status: 'message_processed' };
-}
-
-async function handleTemplateMessage(db, event) {
-    const messageData = {
-        id: event.id,
-        waId: event.waId,
-        text: event.text,
-        type: 'template',
-        templateName: event.templateName,
-        timestamp: safeTimestampConversion(event.created),
-        status: event.statusString?.toLowerCase() || 'sent',
-        direction: 'outgoing',
-        rawData: event
-    };
-
-    await db.collection('whatsapp_messages').doc(event.id).set(messageData);
-    return { status: 'template_processed' };
-}
-
-async function handleSessionMessage(db, event) {
-    const messageData = {
-        id: event.id,
-        waId: event.waId,
-        text: event.text,
-        type: 'session',
-        timestamp: safeTimestampConversion(event.timestamp),
-        status: event.statusString?.toLowerCase() || 'sent',
-        direction: 'outgoing',
-        rawData: event
-    };
-
-    await db.collection('whatsapp_messages').doc(event.id).set(messageData);
-    return { status: 'session_message_processed' };
+    res.status(403).json({
+        error: "Recipient has opted out of messages",
+        consent: { status: consent.status, source: consent.source, updatedAt: consent.updatedAt }
+    });
+    return true;
 }
 
-async function handleDeliveryStatus(db, event) {
-    const messageRef = db.collection('whatsapp_messages').doc(event.id);
-    const doc = await messageRef.get();
-
-    if (!doc.exists) {
-        // Create the document if it doesn't exist
-        await messageRef.set({
-            id: event.id,
-            waId: event.waId || event.whatsappMessageId || 'unknown',
-            text: event.text || '',
-            type: event.type || 'text',
-            timestamp: safeTimestampConversion(event.timestamp),
-            status: 'delivered',
-            deliveredAt: safeTimestampConversion(event.timestamp),
-            rawDeliveryData: event
+// Session sends outside the 24h customer service window: send the fallback
+// template (body fallbackTemplate / fallbackParameters, or the tenant's
+// sessionFallbackTemplate) or refuse with 409
+async function respondWithWindowFallback(req, res, phone, serviceWindow) {
+    const { templateCatalogue, consumeTemplateQuota, sendPreparedTemplate } = req.tenant;
+    const templateName = req.body.fallbackTemplate || req.tenant.sessionFallbackTemplate;
+    if (!templateName) {
+        return res.status(409).json({
+            error: "The 24-hour customer service window is closed; only templates can be sent",
+            serviceWindow
         });
-    } else {
-        // Update existing document
-        await messageRef.update({
-            status: 'delivered',
-            deliveredAt: safeTimestampConversion(event.timestamp),
-            rawDeliveryData: event
+    }
+
+    const prepared = await templateCatalogue.prepare(templateName, parseJsonField(req.body.fallbackParameters));
+    if (prepared.error) {
+        return res.status(400).json({
+            error: `The 24-hour customer service window is closed and the fallback template cannot be sent: ${prepared.error}`,
+            templateName,
+            ...(prepared.missing && { missingParameters: prepared.missing }),
+            serviceWindow
         });
     }
-    return { status: 'delivery_status_updated' };
+
+    const quota = await consumeTemplateQuota(phone);
+    if (!quota.allowed) {
+        return templateQuotaExceeded(res, quota);
+    }
+
+    const { messageRef, watiResponse } = await sendPreparedTemplate(phone, prepared, {
+        extraFields: { sentBy: attribution(req.user), serviceWindowFallback: true },
+        quota
+    });
+
+    return res.status(200).json({
+        success: true,
+        fallback: true,
+        templateUsed: templateName,
+        text: prepared.text,
+        messageId: messageRef.id,
+        serviceWindow,
+        watiResponse
+    });
 }
 
-async function handleReadStatus(db, event) {
-    const messageRef = db.collection('whatsapp_messages').doc(event.id);
-    const doc = await messageRef.get();
-
-    if (!doc.exists) {
-        // Create the document if it doesn't exist
-        await messageRef.set({
-            id: event.id,
-            waId: event.waId || event.whatsappMessageId || 'unknown',
-            text: event.text || '',
-            type: event.type || 'text',
-            timestamp: safeTimestampConversion(event.timestamp),
-            status: 'read',
-            readAt: safeTimestampConversion(event.timestamp),
-            rawReadData: event
-        });
-    } else {
-        // Update existing document
-        await messageRef.update({
-            status: 'read',
-            readAt: safeTimestampConversion(event.timestamp),
-            rawReadData: event
+// The caller's tenant and the channel numbers it can send from
+server.get('/api/tenant', requireRole('viewer'), (req, res) => {
+    const { id, name, channelNumbers, defaultChannelNumber, defaultTemplate } = req.tenant;
+    res.status(200).json({ id, name, channelNumbers, defaultChannelNumber, defaultTemplate });
+});
+
+// List the approved WATI templates with their placeholders
+// Query: refresh=true to bypass the cache
+server.get('/api/wati/templates', requireRole('viewer'), async (req, res) => {
+    try {
+        const templates = await req.tenant.templateCatalogue.list({ refresh: req.query.refresh === 'true' });
+        res.status(200).json({ templates });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(502).json({
+            error: 'Failed to fetch templates from WATI',
+            details: error.response?.data?.message || error.message
         });
     }
-    return { status: 'read_status_updated' };
-}
+});
 
-// Remove the initiateChatWithTemplate function and add this endpoint instead:
-server.post('/api/wati/send-template', async (req, res) => {
+// Send an approved template
+// Body: { phone, templateName, parameters: { name: value } | [{ name, value }], channelNumber? }
+server.post('/api/wati/send-template', requireRole('agent'), limitSends, requireTenantChannel, async (req, res) => {
     try {
-        const { phone, templateName = "missed_appointment" } = req.body;
+        const {
+            phone,
+            templateName = req.tenant.defaultTemplate,
+            parameters,
+            channelNumber = req.tenant.defaultChannelNumber
+        } = req.body;
 
         // Validate required fields
         if (!phone) {
             return res.status(400).json({ error: "Phone number is required" });
         }
 
-        // Send template message via WATI API
-        const response = await axios.post(
-            `${WATI_BASE_URL}/sendTemplateMessage?whatsappNumber=${phone}`,
-            {
-                template_name: templateName,
-                broadcast_name: `init_${Date.now()}`,
-                parameters: [{ name: "name", value: "Customer" }],
-                channel_number: "27772538155"
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${WATI_API_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        if (await refuseIfOptedOut(req, res, phone)) {
+            return;
+        }
 
-        // Create a record in Firestore
-        const messageData = {
-            waId: phone,
-            direction: "outgoing",
-            status: "sent",
-            type: "template",
-            templateName: templateName,
-            timestamp: Timestamp.now(),
-            rawData: {
-                eventType: "templateMessageSent",
-                templateName: templateName,
-                watiResponse: response.data
-            }
-        };
+        // Check the template exists and every placeholder is supplied
+        const prepared = await req.tenant.templateCatalogue.prepare(templateName, parameters);
+        if (prepared.error) {
+            return res.status(400).json({
+                error: prepared.error,
+                templateName,
+                ...(prepared.missing && { missingParameters: prepared.missing })
+            });
+        }
 
-        await db.collection('whatsapp_messages').add(messageData);
+        const quota = await req.tenant.consumeTemplateQuota(phone);
+        if (!quota.allowed) {
+            return templateQuotaExceeded(res, quota);
+        }
+
+        const { watiResponse } = await req.tenant.sendPreparedTemplate(phone, prepared, {
+            channelNumber,
+            extraFields: { sentBy: attribution(req.user) },
+            quota
+        });
 
         return res.status(200).json({
             success: true,
             message: "Template message sent successfully",
             templateUsed: templateName,
-            watiResponse: response.data
+            text: prepared.text,
+            watiResponse
         });
 
     } catch (error) {
@@ -352,7 +289,7 @@ server.post('/api/wati/send-template', async (req, res) => {
         const errorResponse = {
             error: "Failed to send template message",
             details: error.message,
-            templateName: req.body.templateName || "missed_appointment"
+            templateName: req.body.templateName || req.tenant.defaultTemplate
         };
 
         if (error.response) {
@@ -366,65 +303,394 @@ server.post('/api/wati/send-template', async (req, res) => {
     }
 });
 
-// Webhook endpoint
-server.post('/webhook', async (req, res) => {
+// Read multipart form fields that carry JSON (e.g. parameters='{"name":"Ann"}')
+function parseJsonField(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
     try {
-        console.log('Received WATI webhook:', req.body);
-        const event = req.body;
+        return JSON.parse(value);
+    } catch (e) {
+        return undefined;
+    }
+}
 
-        // Store raw event in Firestore
-        const eventRef = await db.collection('wati_webhook_events').add({
-            ...event,
-            receivedAt: Timestamp.now(),
-            processed: false
+// Create a broadcast: the same template sent to many recipients
+// JSON body: { templateName, channelNumber?, parameters?, recipients: [{ phone, parameters? }] }
+// Multipart: the same fields plus a CSV `file` with a `phone` column; every other column is a parameter
+server.post('/api/broadcasts', requireRole('agent'), limitBulk, upload.single('file'), requireTenantChannel, async (req, res) => {
+    try {
+        const { templateName, channelNumber = req.tenant.defaultChannelNumber } = req.body;
+        const defaultParameters = normalizeParameters(parseJsonField(req.body.parameters)) || [];
+
+        if (!templateName) {
+            return res.status(400).json({ error: "templateName is required" });
+        }
+
+        let rows;
+        if (req.file) {
+            rows = parseCsv(req.file.buffer.toString('utf8')).map(row => {
+                const { phone, waId, whatsappNumber, ...parameters } = row;
+                return { phone: phone || waId || whatsappNumber, parameters };
+            });
+        } else {
+            rows = parseJsonField(req.body.recipients);
+        }
+
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return res.status(400).json({ error: "Provide recipients as a JSON array or a CSV file" });
+        }
+        if (rows.length > BROADCAST_MAX_RECIPIENTS) {
+            return res.status(400).json({ error: `A broadcast can have at most ${BROADCAST_MAX_RECIPIENTS} recipients` });
+        }
+
+        // Validate every recipient up front so a bad row does not surface halfway through the send
+        const recipients = [];
+        const invalid = [];
+        for (const [index, row] of rows.entries()) {
+            const own = normalizeParameters(row?.parameters);
+            if (!row?.phone || !own) {
+                invalid.push({ row: index + 1, phone: row?.phone || null, error: !row?.phone ? 'Phone number is required' : 'Invalid parameters' });
+                continue;
+            }
+
+            const number = normalizePhone(row.phone);
+            if (number.error) {
+                invalid.push({ row: index + 1, phone: row.phone, error: number.error });
+                continue;
+            }
+
+            // Recipient parameters override the broadcast defaults
+            const merged = new Map([...defaultParameters, ...own].map(param => [param.name, param]));
+            const parameters = [...merged.values()];
+
+            const prepared = await req.tenant.templateCatalogue.prepare(templateName, parameters);
+            if (prepared.error) {
+                invalid.push({ row: index + 1, phone: row.phone, error: prepared.error });
+                continue;
+            }
+            recipients.push({ phone: number.waId, parameters });
+        }
+
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: 'Some recipients are invalid', invalid });
+        }
+
+        const broadcast = await req.tenant.broadcastService.createBroadcast({
+            templateName,
+            channelNumber,
+            recipients,
+            createdBy: attribution(req.user)
         });
 
-        // Process event type
-        let result;
-        switch (event.eventType) {
-            case 'message':
-                if (supportedMediaTypes.includes(event.type)) {
-                    result = await handleMediaMessage(db, event);
-                } else {
-                    result = await handleMessage(db, event);
-                }
-                break;
-            case 'templateMessageSent':
-            case 'templateMessageSent_v2':
-                result = await handleTemplateMessage(db, event);
-                break;
-            case 'sessionMessageSent':
-            case 'sessionMessageSent_v2':
-                result = await handleSessionMessage(db, event);
-                break;
-            case 'sentMessageDELIVERED':
-            case 'sentMessageDELIVERED_v2':
-                result = await handleDeliveryStatus(db, event);
-                break;
-            case 'sentMessageREAD':
-            case 'sentMessageREAD_v2':
-                result = await handleReadStatus(db, event);
-                break;
-            default:
-                console.log('Unhandled event type:', event.eventType);
-                result = { status: 'unhandled', eventType: event.eventType };
-        }
-
-        // Update event as processed
-        await eventRef.update({
-            processed: true,
-            processingResult: result
+        res.status(202).json({ success: true, broadcastId: broadcast.id, total: broadcast.total, status: 'queued' });
+    } catch (error) {
+        console.error('Error creating broadcast:', error);
+        res.status(500).json({ error: 'Failed to create broadcast', details: error.message });
+    }
+});
+
+// Broadcast job status with aggregate counts
+// Query: recipients=true to include per-recipient states
+server.get('/api/broadcasts/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const broadcast = await req.tenant.broadcastService.getBroadcast(req.params.id, {
+            includeRecipients: req.query.recipients === 'true'
         });
 
-        res.status(200).json({ success: true, eventId: eventRef.id });
+        if (!broadcast) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+
+        res.status(200).json(broadcast);
+    } catch (error) {
+        console.error('Error fetching broadcast:', error);
+        res.status(500).json({ error: 'Failed to fetch broadcast' });
+    }
+});
+
+// Stop a broadcast; recipients already sent to are unaffected
+server.post('/api/broadcasts/:id/cancel', requireRole('agent'), async (req, res) => {
+    try {
+        const cancelled = await req.tenant.broadcastService.cancelBroadcast(req.params.id);
+
+        if (!cancelled) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+
+        res.status(200).json({ success: true, broadcastId: req.params.id });
+    } catch (error) {
+        console.error('Error cancelling broadcast:', error);
+        res.status(500).json({ error: 'Failed to cancel broadcast' });
+    }
+});
+
+// Schedule a message
+// Body: { phone, templateName, parameters? | text, channelNumber?,
+//         sendAt, timezone? | schedule: { type: 'once' | 'relative' | 'recurring', ... } }
+// e.g. schedule: { type: 'relative', eventAt: '2026-03-02T10:00', before: '24h', timezone: 'Africa/Johannesburg' }
+server.post('/api/scheduled-messages', requireRole('agent'), limitBulk, normalizePhoneField('phone'), requireTenantChannel, async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        if (phone && await refuseIfOptedOut(req, res, phone)) {
+            return;
+        }
+
+        // Templates and their parameters are checked by the service (see services/tenantRuntime.js)
+        const job = await req.tenant.scheduledMessages.create(req.body, { createdBy: attribution(req.user) });
+        if (job.error) {
+            return res.status(400).json(job);
+        }
+
+        res.status(201).json(job);
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        res.status(500).json({ error: 'Failed to schedule message' });
+    }
+});
+
+// List scheduled messages, soonest first
+// Query: status, phone, limit
+server.get('/api/scheduled-messages', requireRole('viewer'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `'status' must be one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}` });
+        }
+
+        let phone;
+        if (req.query.phone) {
+            const normalized = normalizePhone(req.query.phone);
+            if (normalized.error) {
+                return res.status(400).json({ error: normalized.error });
+            }
+            phone = normalized.waId;
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        res.status(200).json(await req.tenant.scheduledMessages.list({ status, phone, limit }));
+    } catch (error) {
+        console.error('Error listing scheduled messages:', error);
+        res.status(500).json({ error: 'Failed to list scheduled messages' });
+    }
+});
+
+server.get('/api/scheduled-messages/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const job = await req.tenant.scheduledMessages.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        res.status(200).json(job);
+    } catch (error) {
+        console.error('Error fetching scheduled message:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled message' });
+    }
+});
+
+// Edit a scheduled message that has not been sent yet
+// Body: any of the POST fields
+server.patch('/api/scheduled-messages/:id', requireRole('agent'), normalizePhoneField('phone'), requireTenantChannel, async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        if (phone && await refuseIfOptedOut(req, res, phone)) {
+            return;
+        }
+
+        const job = await req.tenant.scheduledMessages.update(req.params.id, req.body);
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        if (job.error) {
+            const { conflict, ...body } = job;
+            return res.status(conflict ? 409 : 400).json(body);
+        }
+
+        res.status(200).json(job);
+    } catch (error) {
+        console.error('Error updating scheduled message:', error);
+        res.status(500).json({ error: 'Failed to update scheduled message' });
+    }
+});
+
+server.post('/api/scheduled-messages/:id/cancel', requireRole('agent'), async (req, res) => {
+    try {
+        const job = await req.tenant.scheduledMessages.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        if (job.error) {
+            return res.status(409).json({ error: job.error });
+        }
+
+        res.status(200).json(job);
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled message' });
+    }
+});
+
+// Webhook endpoints: /webhook/:tenantId per tenant, /webhook for the default tenant.
+// Each delivery is checked against its tenant's webhook secrets.
+const receiveWebhook = [
+    (req, res, next) => {
+        const tenant = tenants.get(req.params.tenantId || tenantRegistry.defaultTenantId);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Unknown tenant' });
+        }
+        req.tenant = tenant;
+        next();
+    },
+    (req, res, next) => req.tenant.verifyWebhook(req, res, next)
+];
+
+server.post(['/webhook', '/webhook/:tenantId'], receiveWebhook, async (req, res) => {
+    try {
+        console.log(`Received WATI webhook for ${req.tenant.id}:`, req.body);
+        const event = req.body;
+
+        // Store raw event in Firestore, keyed on the event identity so retries are
+        // deduplicated, and acknowledge right away: processing happens in the background
+        const { eventKey, status } = await req.tenant.webhookQueue.receive(event, req.rawBody);
+
+        res.status(200).json({ success: true, eventId: eventKey, status });
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Admin: list events that exhausted their retries
+server.get('/api/admin/dead-letters', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const deadLetters = await req.tenant.webhookQueue.listDeadLetters({ limit });
+
+        res.status(200).json(deadLetters);
+    } catch (error) {
+        console.error('Error fetching dead letters:', error);
+        res.status(500).json({ error: 'Failed to fetch dead letters' });
+    }
+});
+
+// Admin: put a dead-lettered event back on the queue
+server.post('/api/admin/dead-letters/:id/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const replayed = await req.tenant.webhookQueue.replayDeadLetter(req.params.id);
+
+        if (!replayed) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+
+        res.status(202).json({ success: true, eventId: req.params.id, status: 'requeued' });
+    } catch (error) {
+        console.error('Error replaying dead letter:', error);
+        res.status(500).json({ error: 'Failed to replay dead letter' });
+    }
+});
+
+// Register a subscriber webhook
+// Body: { url, eventTypes: ['message.received', 'message.read', ...] | ['*'], secret?, description? }
+server.post('/api/subscriptions', requireRole('admin'), async (req, res) => {
+    try {
+        const subscription = await req.tenant.subscriptionService.create(req.body || {});
+        if (subscription.error) {
+            return res.status(400).json({ error: subscription.error });
+        }
+        res.status(201).json(subscription);
+    } catch (error) {
+        console.error('Error creating subscription:', error);
+        res.status(500).json({ error: 'Failed to create subscription' });
+    }
+});
+
+server.get('/api/subscriptions', requireRole('admin'), async (req, res) => {
+    try {
+        res.status(200).json(await req.tenant.subscriptionService.list());
+    } catch (error) {
+        console.error('Error listing subscriptions:', error);
+        res.status(500).json({ error: 'Failed to list subscriptions' });
+    }
+});
+
+server.delete('/api/subscriptions/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await req.tenant.subscriptionService.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting subscription:', error);
+        res.status(500).json({ error: 'Failed to delete subscription' });
+    }
+});
+
+// Delivery log of a subscription, newest first
+server.get('/api/subscriptions/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        res.status(200).json(await req.tenant.subscriptionService.listDeliveries(req.params.id, { limit }));
+    } catch (error) {
+        console.error('Error listing subscription deliveries:', error);
+        res.status(500).json({ error: 'Failed to list deliveries' });
+    }
+});
+
+// Consent records
+// Query: status=opted_in|opted_out
+server.get('/api/admin/consent', requireRole('admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !CONSENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `'status' must be one of: ${CONSENT_STATUSES.join(', ')}` });
+        }
+        res.status(200).json(await req.tenant.consentService.list({ status }));
+    } catch (error) {
+        console.error('Error listing consent:', error);
+        res.status(500).json({ error: 'Failed to list consent records' });
+    }
+});
+
+server.get('/api/admin/consent/:waId', requireRole('admin'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const consent = await req.tenant.consentService.getConsent(req.params.waId);
+        // No record: the number never opted out
+        res.status(200).json(consent || { waId: req.params.waId, status: 'opted_in', source: null, updatedAt: null, history: [] });
+    } catch (error) {
+        console.error('Error fetching consent:', error);
+        res.status(500).json({ error: 'Failed to fetch consent record' });
+    }
+});
+
+// Manual override
+// Body: { status: 'opted_in' | 'opted_out', note? }
+server.put('/api/admin/consent/:waId', requireRole('admin'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!CONSENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `'status' must be one of: ${CONSENT_STATUSES.join(', ')}` });
+        }
+
+        const waId = req.params.waId;
+        const { consent } = await req.tenant.consentService.setConsent(waId, status, {
+            source: 'admin',
+            by: attribution(req.user),
+            note: note ? String(note) : null
+        });
+        req.tenant.publish('consent.updated', waId, consent);
+
+        res.status(200).json(consent);
+    } catch (error) {
+        console.error('Error updating consent:', error);
+        res.status(500).json({ error: 'Failed to update consent' });
+    }
+});
+
 // API endpoint to get messages
-server.get('/api/messages/:waNumber', async (req, res) => {
+// Query: limit, before|after (message id or timestamp), direction, type, status, from, to
+server.get('/api/messages/:waNumber', requireRole('viewer'), normalizePhoneParam('waNumber'), async (req, res) => {
     try {
         const { waNumber } = req.params;
 
@@ -432,115 +698,17 @@ server.get('/api/messages/:waNumber', async (req, res) => {
             return res.status(400).json({ error: "WhatsApp number is required" });
         }
 
-        try {
-            const query = db.collection('whatsapp_messages')
-                .where('waId', '==', waNumber)
-                .orderBy('timestamp', 'asc')
-                .limit(50);
-
-            const snapshot = await query.get();
-
-            if (snapshot.empty) {
-                return res.status(200).json([]);
-            }
-
-            const messages = snapshot.docs.map(doc => {
-                const data = doc.data();
-
-                // Safely handle timestamp conversion
-                let timestampMillis;
-                if (data.timestamp?.toMillis) {
-                    timestampMillis = data.timestamp.toMillis();
-                } else if (typeof data.timestamp === 'string') {
-                    // Handle both Unix timestamp strings and ISO strings
-                    timestampMillis = isNaN(data.timestamp)
-                        ? new Date(data.timestamp).getTime()
-                        : parseInt(data.timestamp) * 1000;
-                } else if (typeof data.timestamp === 'number') {
-                    // Assume milliseconds if number is large, seconds if small
-                    timestampMillis = data.timestamp > 9999999999
-                        ? data.timestamp
-                        : data.timestamp * 1000;
-                } else {
-                    // Fallback to current time if timestamp is invalid
-                    timestampMillis = Date.now();
-                }
-
-                // Safely format date
-                let formattedDate;
-                try {
-                    formattedDate = new Date(timestampMillis).toISOString();
-                } catch (e) {
-                    formattedDate = new Date().toISOString();
-                }
-
-                return {
-                    id: doc.id,
-                    text: data.text,
-                    direction: data.direction,
-                    status: data.status,
-                    timestamp: timestampMillis,
-                    formattedDate: formattedDate,
-                    waId: data.waId
-                };
-            });
+        const options = parseMessageListQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
 
-            // Final sort to ensure proper ordering
-            messages.sort((a, b) => a.timestamp - b.timestamp);
-
-            return res.status(200).json(messages);
-
-        } catch (queryError) {
-            if (queryError.code === 9) { // FAILED_PRECONDITION
-                console.warn('Using fallback query (index may be building)');
-
-                const snapshot = await db.collection('whatsapp_messages')
-                    .where('waId', '==', waNumber)
-                    .limit(50)
-                    .get();
-
-                const messages = snapshot.docs.map(doc => {
-                    const data = doc.data();
-
-                    // Same safe timestamp handling as above
-                    let timestampMillis;
-                    if (data.timestamp?.toMillis) {
-                        timestampMillis = data.timestamp.toMillis();
-                    } else if (typeof data.timestamp === 'string') {
-                        timestampMillis = isNaN(data.timestamp)
-                            ? new Date(data.timestamp).getTime()
-                            : parseInt(data.timestamp) * 1000;
-                    } else if (typeof data.timestamp === 'number') {
-                        timestampMillis = data.timestamp > 9999999999
-                            ? data.timestamp
-                            : data.timestamp * 1000;
-                    } else {
-                        timestampMillis = Date.now();
-                    }
-
-                    let formattedDate;
-                    try {
-                        formattedDate = new Date(timestampMillis).toISOString();
-                    } catch (e) {
-                        formattedDate = new Date().toISOString();
-                    }
-
-                    return {
-                        id: doc.id,
-                        text: data.text,
-                        direction: data.direction,
-                        status: data.status,
-                        timestamp: timestampMillis,
-                        formattedDate: formattedDate,
-                        waId: data.waId
-                    };
-                });
-
-                messages.sort((a, b) => a.timestamp - b.timestamp);
-                return res.status(200).json(messages);
-            }
-            throw queryError;
+        const page = await listMessages(req.tenant.db, waNumber, options);
+        if (!page) {
+            return res.status(400).json({ error: "Cursor message not found" });
         }
+
+        return res.status(200).json(page);
     } catch (error) {
         console.error('Fetch messages error:', error);
         res.status(500).json({
@@ -553,7 +721,9 @@ server.get('/api/messages/:waNumber', async (req, res) => {
 });
 
 // API endpoint to send messages
-server.post('/api/wati/send-message', async (req, res) => {
+// Body: { phone, message, fallbackTemplate?, fallbackParameters? }
+// Outside the 24h service window the fallback template is sent instead (or 409)
+server.post('/api/wati/send-message', requireRole('agent'), limitSends, async (req, res) => {
     try {
         const { phone, message } = req.body;
 
@@ -561,45 +731,162 @@ server.post('/api/wati/send-message', async (req, res) => {
             return res.status(400).json({ error: "Phone and message are required" });
         }
 
-        // 1. First send to WATI API
-        const watiResponse = await axios.post(
-            `https://live-mt-server.wati.io/361402/api/v1/sendSessionMessage/${phone}?messageText=${encodeURIComponent(message)}`,
-            null, // No body needed for this request
-            {
-                headers: {
-                    "Authorization": `Bearer ${process.env.WATI_API_TOKEN}`,
-                    "Content-Type": "application/json"
-                }
+        if (await refuseIfOptedOut(req, res, phone)) {
+            return;
+        }
+
+        const serviceWindow = await getServiceWindow(req.tenant.db, phone);
+        if (!serviceWindow.open) {
+            return await respondWithWindowFallback(req, res, phone, serviceWindow);
+        }
+
+        const { messageRef } = await req.tenant.sendSessionText(phone, message, {
+            extraFields: { sentBy: attribution(req.user) }
+        });
+
+        res.status(200).json({
+            success: true,
+            messageId: messageRef.id
+        });
+
+    } catch (error) {
+        console.error("Error sending message:", error);
+
+        // Determine if the error is from WATI or our system
+        const errorMessage = error.response?.data?.message ||
+            error.message ||
+            "Failed to send message";
+
+        res.status(500).json({
+            error: errorMessage,
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Send an image, video, audio file or document
+// Multipart: phone, caption?, file
+// JSON: { phone, url, caption? }
+// fallbackTemplate / fallbackParameters as for send-message
+server.post('/api/wati/send-media', requireRole('agent'), limitBulk, mediaUpload.single('file'), limitRecipient, async (req, res) => {
+    try {
+        const { phone, url, caption = '' } = req.body;
+
+        if (!phone) {
+            return res.status(400).json({ error: "Phone number is required" });
+        }
+        if (!req.file && !url) {
+            return res.status(400).json({ error: "Upload a file or provide a url" });
+        }
+
+        if (await refuseIfOptedOut(req, res, phone)) {
+            return;
+        }
+
+        const serviceWindow = await getServiceWindow(req.tenant.db, phone);
+        if (!serviceWindow.open) {
+            return await respondWithWindowFallback(req, res, phone, serviceWindow);
+        }
+
+        let media;
+        if (req.file) {
+            media = {
+                buffer: req.file.buffer,
+                filename: req.file.originalname,
+                mimeType: req.file.mimetype
+            };
+        } else {
+            // https to a public host only (see services/media.js)
+            try {
+                checkMediaUrl(url);
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+
+            try {
+                media = await fetchRemoteMedia(url);
+            } catch (fetchError) {
+                return res.status(400).json({ error: "Could not download media from url", details: fetchError.message });
             }
-        );
+        }
+
+        const classified = classifyMedia(media.mimeType, media.buffer.length, media.buffer);
+        if (classified.error) {
+            return res.status(400).json({ error: classified.error });
+        }
+
+        const watiResponse = await req.tenant.wati.sendSessionFile(phone, {
+            ...media,
+            mimeType: classified.mimeType,
+            caption
+        });
+
+        const timestamp = Timestamp.now();
+        const whatsappMessageId = getSentMessageId(watiResponse);
+
+        // Archive our own copy, like inbound media
+        const hash = sha256(media.buffer);
+        const storageKey = mediaStorageKey(hash, media.filename);
+        if (!await mediaStorage.exists(storageKey)) {
+            await mediaStorage.save(storageKey, media.buffer, { contentType: classified.mimeType });
+        }
+
+        // Same shape as inbound media (see handleMediaMessage)
+        const attachmentData = {
+            caption,
+            sha256: hash,
+            attachment_id: media.filename,
+            type: classified.type,
+            whatsapp_message_id: whatsappMessageId,
+            timestamp,
+            attachment_url: url || null,
+            waId: phone,
+            direction: 'outgoing',
+            contentType: classified.mimeType,
+            size: media.buffer.length,
+            storageKey,
+            storageBackend: mediaStorage.name,
+            archiveStatus: 'archived',
+            archivedAt: timestamp
+        };
+
+        const attachments = req.tenant.db.collection('whatsapp_attachments');
+        const attachmentRef = whatsappMessageId ? attachments.doc(messageDocId(whatsappMessageId)) : attachments.doc();
+        await attachmentRef.set(attachmentData);
 
-        // 2. Save to Firestore
         const messageData = {
-            text: message,
             waId: phone,
+            text: caption,
+            caption,
+            type: classified.type,
+            attachmentId: attachmentRef.id,
             direction: "outgoing",
             status: "sent",
-            timestamp: Timestamp.now(), // Use Firestore Timestamp
+            sentBy: attribution(req.user),
+            timestamp,
             rawData: {
                 eventType: "sessionMessageSent",
-                whatsappResponse: watiResponse.data
+                whatsappResponse: watiResponse
             }
         };
 
-        await db.collection('whatsapp_messages').add(messageData);
+        const messageRef = await req.tenant.saveOutgoingMessage(messageData, watiResponse);
+        await attachmentRef.update({ messageId: messageRef.id });
+        await updateContactFromMessage(req.tenant.db, { id: messageRef.id, ...messageData });
+        req.tenant.publish('message.created', phone, formatMessage(messageRef.id, messageData));
 
         res.status(200).json({
             success: true,
-            messageId: watiResponse.data.id
+            messageId: whatsappMessageId,
+            attachmentId: attachmentRef.id,
+            type: classified.type
         });
-
     } catch (error) {
-        console.error("Error sending message:", error);
+        console.error("Error sending media:", error);
 
-        // Determine if the error is from WATI or our system
         const errorMessage = error.response?.data?.message ||
             error.message ||
-            "Failed to send message";
+            "Failed to send media";
 
         res.status(500).json({
             error: errorMessage,
@@ -608,69 +895,344 @@ server.post('/api/wati/send-message', async (req, res) => {
     }
 });
 
-// GET /api/contacts
-server.get('/api/contacts', async (req, res) => {
-    try {
-        const snapshot = await db.collection('whatsapp_messages').get();
-        const messages = snapshot.docs.map(doc => doc.data());
-
-        const contactMap = new Map();
-
-        console.log("Total messages fetched:", messages.length);
-        console.log("Message List", messages);
-
-        console.log("message sender name:", messages.rawData?.senderName);
-
-        // Process each message to extract contact information
-
-        for (const msg of messages) {
-            const rawData = msg.rawData || {};
-            const waId = msg.waId;
-            const name =
-                rawData.senderName ||
-                rawData.watiResponse?.contact?.fullName ||
-                rawData.watiResponse?.contact?.firstName ||
-                waId;
-            const timestamp = msg.timestamp?.toMillis?.() || Date.now();
-            const text = msg.text || "";
-
-            console.log("row data:", rawData);
-
-            console.log("name", name);
-            if (
-                !contactMap.has(waId) ||
-                timestamp > contactMap.get(waId).timestamp
-            ) {
-                contactMap.set(waId, {
-                    waId,
-                    name,
-                    lastMessage: text,
-                    timestamp,
-                });
+// Stream an archived attachment
+server.get('/api/attachments/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const doc = await req.tenant.db.collection('whatsapp_attachments').doc(req.params.id).get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const attachment = doc.data();
+        if (!attachment.storageKey) {
+            return res.status(404).json({
+                error: 'Attachment has not been archived',
+                archiveStatus: attachment.archiveStatus || null
+            });
+        }
+
+        const filename = String(attachment.attachment_id || doc.id).replace(/["\\\r\n]/g, '');
+
+        res.set({
+            'Content-Type': attachment.contentType || 'application/octet-stream',
+            'Content-Disposition': `inline; filename="${filename}"`,
+            'Cache-Control': 'private, max-age=86400',
+            ...(attachment.size && { 'Content-Length': String(attachment.size) }),
+            ...(attachment.sha256 && { ETag: `"${attachment.sha256}"` })
+        });
+
+        const stream = mediaStorage.createReadStream(attachment.storageKey);
+        stream.on('error', (streamError) => {
+            console.error('Attachment stream error:', streamError);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to read attachment' });
+            } else {
+                res.destroy(streamError);
             }
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error fetching attachment:', error);
+        res.status(500).json({ error: 'Failed to fetch attachment' });
+    }
+});
+
+// Mark a conversation as read by an agent
+// Body: { upToMessageId?, sendReadReceipt? }
+server.post('/api/conversations/:waId/read', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const { waId } = req.params;
+        const { upToMessageId, sendReadReceipt: forwardReceipt = false } = req.body || {};
+
+        const result = await markConversationRead(req.tenant.db, waId, { upToMessageId, readBy: attribution(req.user) });
+        if (!result) {
+            return res.status(404).json({ error: 'Message not found in this conversation' });
+        }
+
+        req.tenant.publish('conversation.read', waId, {
+            waId,
+            unreadCount: result.unreadCount,
+            lastReadMessageId: result.lastReadMessageId
+        });
+
+        let readReceipt;
+        if (forwardReceipt && result.lastReadMessageId) {
+            readReceipt = await req.tenant.wati.sendReadReceipt(waId, result.lastReadMessageId);
+        }
+
+        res.status(200).json({ success: true, waId, ...result, ...(readReceipt && { readReceipt }) });
+    } catch (error) {
+        console.error('Error marking conversation read:', error);
+        res.status(500).json({ error: 'Failed to mark conversation as read' });
+    }
+});
+
+// Conversation assignment, status, tags and internal notes (see services/conversations.js)
+// Assignees are given as an agent id, { id, name }, or 'me' for the caller
+function assigneeFrom(req, value) {
+    return value === 'me' ? { id: req.user.id, name: req.user.name } : value;
+}
+
+// Answer with the outcome of a conversation change and tell dashboards about it
+function sendConversationResult(req, res, result) {
+    if (result.error) {
+        return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+    }
+    if (result.changed) {
+        req.tenant.publish('conversation.updated', req.params.waId, result.conversation);
+    }
+    res.status(200).json(result.conversation);
+}
+
+server.get('/api/conversations/:waId', requireRole('viewer'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        res.status(200).json(await req.tenant.conversations.get(req.params.waId));
+    } catch (error) {
+        console.error('Error fetching conversation:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
+
+// Assign an unassigned conversation, or unassign it
+// Body: { assignee: 'me' | agentId | { id, name } | null }
+server.post('/api/conversations/:waId/assign', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        if (req.body?.assignee === undefined) {
+            return res.status(400).json({ error: "'assignee' is required" });
         }
 
-        const contacts = Array.from(contactMap.values()).sort(
-            (a, b) => b.timestamp - a.timestamp
-        );
+        const result = await req.tenant.conversations.assign(req.params.waId, assigneeFrom(req, req.body.assignee), {
+            by: attribution(req.user)
+        });
+        sendConversationResult(req, res, result);
+    } catch (error) {
+        console.error('Error assigning conversation:', error);
+        res.status(500).json({ error: 'Failed to assign conversation' });
+    }
+});
+
+// Hand an assigned conversation to another agent
+// Body: { assignee: 'me' | agentId | { id, name }, reason? }
+server.post('/api/conversations/:waId/transfer', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const result = await req.tenant.conversations.transfer(req.params.waId, assigneeFrom(req, req.body?.assignee), {
+            by: attribution(req.user),
+            reason: req.body?.reason
+        });
+        sendConversationResult(req, res, result);
+    } catch (error) {
+        console.error('Error transferring conversation:', error);
+        res.status(500).json({ error: 'Failed to transfer conversation' });
+    }
+});
+
+// Body: { add?: [tag], remove?: [tag] }
+server.post('/api/conversations/:waId/tags', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const result = await req.tenant.conversations.updateTags(req.params.waId, req.body || {}, {
+            by: attribution(req.user)
+        });
+        sendConversationResult(req, res, result);
+    } catch (error) {
+        console.error('Error tagging conversation:', error);
+        res.status(500).json({ error: 'Failed to update conversation tags' });
+    }
+});
+
+// Body: { status: 'open' | 'pending' | 'resolved' }
+server.post('/api/conversations/:waId/status', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const result = await req.tenant.conversations.setStatus(req.params.waId, req.body?.status, {
+            by: attribution(req.user)
+        });
+        sendConversationResult(req, res, result);
+    } catch (error) {
+        console.error('Error updating conversation status:', error);
+        res.status(500).json({ error: 'Failed to update conversation status' });
+    }
+});
+
+// Resolve a conversation; it reopens when the customer writes again
+server.post('/api/conversations/:waId/resolve', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const result = await req.tenant.conversations.setStatus(req.params.waId, 'resolved', {
+            by: attribution(req.user)
+        });
+        sendConversationResult(req, res, result);
+    } catch (error) {
+        console.error('Error resolving conversation:', error);
+        res.status(500).json({ error: 'Failed to resolve conversation' });
+    }
+});
+
+// Internal notes, newest first. Never sent to WhatsApp.
+// Query: limit
+server.get('/api/conversations/:waId/notes', requireRole('viewer'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        res.status(200).json(await req.tenant.conversations.listNotes(req.params.waId, { limit }));
+    } catch (error) {
+        console.error('Error fetching notes:', error);
+        res.status(500).json({ error: 'Failed to fetch notes' });
+    }
+});
+
+// Body: { text }
+server.post('/api/conversations/:waId/notes', requireRole('agent'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const note = await req.tenant.conversations.addNote(req.params.waId, req.body?.text, {
+            by: attribution(req.user)
+        });
+        if (note.error) {
+            return res.status(400).json({ error: note.error });
+        }
 
-        res.status(200).json(contacts);
+        req.tenant.publish('conversation.note', req.params.waId, note);
+        res.status(201).json(note);
+    } catch (error) {
+        console.error('Error adding note:', error);
+        res.status(500).json({ error: 'Failed to add note' });
+    }
+});
+
+// GET /api/contacts
+// Query: limit, cursor, search (name or number prefix), sort (recent | name | unread),
+// assignee (agent id, 'me' or 'unassigned'), status (open | pending | resolved), tag
+server.get('/api/contacts', requireRole('viewer'), async (req, res) => {
+    try {
+        const options = parseContactListQuery({
+            ...req.query,
+            ...(req.query.assignee === 'me' && { assignee: req.user.id })
+        });
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const page = await listContacts(req.tenant.db, options);
+        if (!page) {
+            return res.status(400).json({ error: 'Cursor contact not found' });
+        }
+
+        res.status(200).json(page);
     } catch (error) {
         console.error('Error fetching contacts:', error);
         res.status(500).json({ error: 'Failed to fetch contacts' });
     }
 });
 
+// One contact, including whether the 24h customer service window is open
+server.get('/api/contacts/:waId', requireRole('viewer'), normalizePhoneParam('waId'), async (req, res) => {
+    try {
+        const contact = await getContact(req.tenant.db, req.params.waId);
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        res.status(200).json(contact);
+    } catch (error) {
+        console.error('Error fetching contact:', error);
+        res.status(500).json({ error: 'Failed to fetch contact' });
+    }
+});
+
+
+// Auto-reply rules and flows: CRUD under /api/auto-reply/rules and /api/auto-reply/flows
+for (const resource of ['rules', 'flows']) {
+    const label = resource === 'rules' ? 'rule' : 'flow';
+    const storeOf = (req) => req.tenant.autoReply[resource];
+
+    server.get(`/api/auto-reply/${resource}`, requireRole('viewer'), async (req, res) => {
+        try {
+            res.status(200).json(await storeOf(req).list());
+        } catch (error) {
+            console.error(`Error listing auto-reply ${resource}:`, error);
+            res.status(500).json({ error: `Failed to list auto-reply ${resource}` });
+        }
+    });
+
+    server.get(`/api/auto-reply/${resource}/:id`, requireRole('viewer'), async (req, res) => {
+        try {
+            const item = await storeOf(req).get(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: `Auto-reply ${label} not found` });
+            }
+            res.status(200).json(item);
+        } catch (error) {
+            console.error(`Error fetching auto-reply ${label}:`, error);
+            res.status(500).json({ error: `Failed to fetch auto-reply ${label}` });
+        }
+    });
+
+    server.post(`/api/auto-reply/${resource}`, requireRole('admin'), async (req, res) => {
+        try {
+            const item = await storeOf(req).create(req.body || {});
+            if (item.error) {
+                return res.status(400).json({ error: item.error });
+            }
+            res.status(201).json(item);
+        } catch (error) {
+            console.error(`Error creating auto-reply ${label}:`, error);
+            res.status(500).json({ error: `Failed to create auto-reply ${label}` });
+        }
+    });
+
+    server.put(`/api/auto-reply/${resource}/:id`, requireRole('admin'), async (req, res) => {
+        try {
+            const item = await storeOf(req).update(req.params.id, req.body || {});
+            if (!item) {
+                return res.status(404).json({ error: `Auto-reply ${label} not found` });
+            }
+            if (item.error) {
+                return res.status(400).json({ error: item.error });
+            }
+            res.status(200).json(item);
+        } catch (error) {
+            console.error(`Error updating auto-reply ${label}:`, error);
+            res.status(500).json({ error: `Failed to update auto-reply ${label}` });
+        }
+    });
+
+    server.delete(`/api/auto-reply/${resource}/:id`, requireRole('admin'), async (req, res) => {
+        try {
+            if (!await storeOf(req).remove(req.params.id)) {
+                return res.status(404).json({ error: `Auto-reply ${label} not found` });
+            }
+            res.status(204).end();
+        } catch (error) {
+            console.error(`Error deleting auto-reply ${label}:`, error);
+            res.status(500).json({ error: `Failed to delete auto-reply ${label}` });
+        }
+    });
+}
+
+// Upload errors (file too large, unexpected field) are client errors
+server.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+    }
+    next(err);
+});
 
 // Start the server
 httpServer.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Webhook URL: http://localhost:${PORT}/webhook`);
+    for (const tenant of tenants.values()) {
+        console.log(`Webhook URL (${tenant.name}): http://localhost:${PORT}/webhook/${tenant.id}`);
+    }
+    console.log(`Realtime URL: ws://localhost:${PORT}/realtime`);
+    for (const tenant of tenants.values()) {
+        tenant.start();
+    }
 });
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
     console.log("SIGTERM signal received: closing HTTP server");
+    for (const tenant of tenants.values()) {
+        tenant.stop();
+    }
+    realtime.close();
     httpServer.close(() => {
         console.log("HTTP server closed");
     });
@@ -678,6 +1240,10 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
     console.log("SIGINT signal received: closing HTTP server");
+    for (const tenant of tenants.values()) {
+        tenant.stop();
+    }
+    realtime.close();
     httpServer.close(() => {
         console.log("HTTP server closed");
     });
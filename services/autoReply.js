@@ -0,0 +1,449 @@
+import { Timestamp } from './time.js';
+
+// Auto-replies for inbound messages.
+//
+// Rules (`auto_reply_rules`) are checked in priority order against each
+// inbound message, text or media; the first match sends its response and may
+// start a flow. A flow (`auto_reply_flows`) is a small menu-driven
+// conversation, e.g. "Reply 1 to confirm, 2 to reschedule". While a contact is
+// inside a flow their replies go to the current step instead of the rules;
+// the position is kept in `auto_reply_state/{waId}`.
+//
+// Rule:
+//   {
+//     name, enabled, priority,
+//     match: { type: 'keyword', keywords: ['hi', 'hello'] }
+//          | { type: 'regex', pattern: '^book', flags: 'i' }
+//          | { type: 'first_contact' }
+//          | { type: 'out_of_office', timezone: 'Africa/Johannesburg', days: [1, 2, 3, 4, 5], start: '08:00', end: '17:00' },
+//     response: { type: 'text', text } | { type: 'template', templateName, parameters },
+//     startFlow: flowId?, cooldownMinutes?
+//   }
+//
+// Flow:
+//   {
+//     name, enabled, startStep, timeoutMinutes?,
+//     steps: {
+//       [stepId]: {
+//         message: { type: 'text', text } | { type: 'template', ... },
+//         options: [{ match: ['1', 'confirm'], reply?: {...}, next?: stepId }],
+//         fallback?: { type: 'text', text }
+//       }
+//     }
+//   }
+
+const RULES_COLLECTION = 'auto_reply_rules';
+const FLOWS_COLLECTION = 'auto_reply_flows';
+const STATE_COLLECTION = 'auto_reply_state';
+
+const MATCH_TYPES = ['keyword', 'regex', 'first_contact', 'out_of_office'];
+const DEFAULT_FLOW_TIMEOUT_MINUTES = 60;
+const MAX_PATTERN_LENGTH = 200;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function normalizeText(text) {
+    return String(text || '').trim().toLowerCase();
+}
+
+// A quantifier at `index`: *, + or a {n,} / {n,m} range
+function isQuantifier(pattern, index) {
+    return pattern[index] === '*' || pattern[index] === '+' || /^\{\d+,\d*\}/.test(pattern.slice(index));
+}
+
+// Any repeat at `index`, a fixed {n} included
+function isRepeat(pattern, index) {
+    return isQuantifier(pattern, index) || /^\{\d+\}/.test(pattern.slice(index));
+}
+
+// Why a pattern would backtrack exponentially on text that almost matches,
+// which would stall the webhook worker on a single inbound message:
+//   'nested_quantifier'  a repeated group repeats something, as in (a+)+ or (\w+\s*)*
+//   'alternation'        a repeated group has alternatives, as in (a|a)* or (?:yes|y)+,
+//                        which can overlap in ways we cannot check
+// or null if it does neither.
+export function unsafeRepeat(pattern) {
+    const groups = [{ quantified: false, alternation: false }];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const current = groups[groups.length - 1];
+
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Quantifier characters inside a class are literals
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') {
+                    i++;
+                }
+            }
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            if (group.quantified && isQuantifier(pattern, i + 1)) {
+                return 'nested_quantifier';
+            }
+            if (group.alternation && isRepeat(pattern, i + 1)) {
+                return 'alternation';
+            }
+            groups[groups.length - 1].quantified ||= group.quantified;
+            groups[groups.length - 1].alternation ||= group.alternation;
+        } else if (char === '|') {
+            current.alternation = true;
+        } else if (isQuantifier(pattern, i)) {
+            current.quantified = true;
+        }
+    }
+    return null;
+}
+
+// Returns an error message, or null if `pattern` can be used in a regex rule
+export function validatePattern(pattern, flags) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+        return 'match.pattern must be a non-empty string';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `match.pattern is limited to ${MAX_PATTERN_LENGTH} characters`;
+    }
+    switch (unsafeRepeat(pattern)) {
+        case 'nested_quantifier':
+            return 'match.pattern must not repeat a group that contains a repeat, e.g. (a+)+';
+        case 'alternation':
+            return 'match.pattern must not repeat a group with alternatives, e.g. (a|b)*; use a character class such as [ab]* instead';
+    }
+    try {
+        new RegExp(pattern, flags || 'i');
+    } catch (e) {
+        return `match.pattern is not a valid regular expression: ${e.message}`;
+    }
+    return null;
+}
+
+function validateResponse(response, label) {
+    if (!response || typeof response !== 'object') {
+        return `${label} is required`;
+    }
+    if (response.type === 'text') {
+        return response.text ? null : `${label}.text is required`;
+    }
+    if (response.type === 'template') {
+        return response.templateName ? null : `${label}.templateName is required`;
+    }
+    return `${label}.type must be 'text' or 'template'`;
+}
+
+// Returns an error message, or null if the rule is valid
+export function validateRule(rule) {
+    if (!rule?.name) {
+        return 'name is required';
+    }
+
+    const match = rule.match;
+    if (!match || !MATCH_TYPES.includes(match.type)) {
+        return `match.type must be one of: ${MATCH_TYPES.join(', ')}`;
+    }
+    if (match.type === 'keyword' && (!Array.isArray(match.keywords) || match.keywords.length === 0)) {
+        return 'match.keywords must be a non-empty array';
+    }
+    if (match.type === 'regex') {
+        const error = validatePattern(match.pattern, match.flags);
+        if (error) {
+            return error;
+        }
+    }
+    if (match.type === 'out_of_office') {
+        const time = /^\d{2}:\d{2}$/;
+        if (!time.test(match.start || '') || !time.test(match.end || '')) {
+            return "match.start and match.end must be 'HH:MM'";
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: match.timezone || 'UTC' });
+        } catch (e) {
+            return `Unknown timezone: ${match.timezone}`;
+        }
+    }
+
+    if (!rule.response && !rule.startFlow) {
+        return 'A rule needs a response, a startFlow, or both';
+    }
+    return rule.response ? validateResponse(rule.response, 'response') : null;
+}
+
+export function validateFlow(flow) {
+    if (!flow?.name) {
+        return 'name is required';
+    }
+    if (!flow.steps || typeof flow.steps !== 'object' || Object.keys(flow.steps).length === 0) {
+        return 'steps must be a non-empty object';
+    }
+    if (!flow.steps[flow.startStep]) {
+        return 'startStep must name one of the steps';
+    }
+
+    for (const [stepId, step] of Object.entries(flow.steps)) {
+        const error = validateResponse(step.message, `steps.${stepId}.message`);
+        if (error) {
+            return error;
+        }
+        for (const [index, option] of (step.options || []).entries()) {
+            if (!Array.isArray(option.match) || option.match.length === 0) {
+                return `steps.${stepId}.options[${index}].match must be a non-empty array`;
+            }
+            if (option.next && !flow.steps[option.next]) {
+                return `steps.${stepId}.options[${index}].next names an unknown step`;
+            }
+            if (option.reply) {
+                const replyError = validateResponse(option.reply, `steps.${stepId}.options[${index}].reply`);
+                if (replyError) {
+                    return replyError;
+                }
+            }
+        }
+        if (step.fallback) {
+            const fallbackError = validateResponse(step.fallback, `steps.${stepId}.fallback`);
+            if (fallbackError) {
+                return fallbackError;
+            }
+        }
+    }
+    return null;
+}
+
+// Is `date` outside the office hours described by `match`?
+export function isOutOfOffice(match, date = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: match.timezone || 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const days = match.days || [1, 2, 3, 4, 5];
+    if (!days.includes(WEEKDAYS[parts.weekday])) {
+        return true;
+    }
+
+    const now = `${parts.hour}:${parts.minute}`;
+    return now < match.start || now >= match.end;
+}
+
+// Simple CRUD over one collection, with validation
+function createStore(db, collectionName, validate) {
+    const collection = db.collection(collectionName);
+    const format = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toMillis?.() || null,
+            updatedAt: data.updatedAt?.toMillis?.() || null
+        };
+    };
+
+    return {
+        async list() {
+            const snapshot = await collection.get();
+            return snapshot.docs.map(format);
+        },
+
+        async get(id) {
+            const doc = await collection.doc(id).get();
+            return doc.exists ? format(doc) : null;
+        },
+
+        // Resolves to { error } or the stored doc
+        async create(input) {
+            const error = validate(input);
+            if (error) {
+                return { error };
+            }
+            const { id, createdAt, updatedAt, ...data } = input;
+            const ref = collection.doc();
+            await ref.set({ enabled: true, ...data, createdAt: Timestamp.now(), updatedAt: Timestamp.now() });
+            return format(await ref.get());
+        },
+
+        // Resolves to null if unknown, { error } or the stored doc
+        async update(id, input) {
+            const ref = collection.doc(id);
+            const existing = await ref.get();
+            if (!existing.exists) {
+                return null;
+            }
+
+            const { id: ignoredId, createdAt, updatedAt, ...changes } = input;
+            const merged = { ...existing.data(), ...changes };
+            const error = validate(merged);
+            if (error) {
+                return { error };
+            }
+
+            await ref.set({ ...merged, updatedAt: Timestamp.now() });
+            return format(await ref.get());
+        },
+
+        async remove(id) {
+            const ref = collection.doc(id);
+            const existing = await ref.get();
+            if (!existing.exists) {
+                return false;
+            }
+            await ref.delete();
+            return true;
+        }
+    };
+}
+
+// `send(waId, response, tags)` delivers a { type: 'text' | 'template' } response
+// and records it as an outgoing message tagged with `tags`.
+export function createAutoReplyEngine({ db, send }) {
+    const rules = createStore(db, RULES_COLLECTION, validateRule);
+    const flows = createStore(db, FLOWS_COLLECTION, validateFlow);
+    const state = db.collection(STATE_COLLECTION);
+
+    async function isFirstContact(waId) {
+        const snapshot = await db.collection('whatsapp_messages')
+            .where('waId', '==', waId)
+            .limit(2)
+            .get();
+        return snapshot.size <= 1;
+    }
+
+    async function ruleMatches(rule, message) {
+        const text = normalizeText(message.text);
+
+        switch (rule.match.type) {
+            case 'keyword':
+                return Boolean(text) && rule.match.keywords.some(keyword => {
+                    const word = normalizeText(keyword);
+                    return text === word || text.split(/\s+/).includes(word);
+                });
+            case 'regex':
+                // Rules saved before patterns were checked may still be unsafe
+                if (validatePattern(rule.match.pattern, rule.match.flags)) {
+                    console.warn(`Auto-reply rule ${rule.id} has an unsafe or invalid pattern, skipping it`);
+                    return false;
+                }
+                return Boolean(message.text) && new RegExp(rule.match.pattern, rule.match.flags || 'i').test(message.text);
+            case 'first_contact':
+                return isFirstContact(message.waId);
+            case 'out_of_office':
+                return isOutOfOffice(rule.match);
+            default:
+                return false;
+        }
+    }
+
+    async function enterStep(waId, flow, stepId, contactState) {
+        const step = flow.steps[stepId];
+        await send(waId, step.message, { ruleId: contactState.ruleId || null, flowId: flow.id, stepId });
+
+        const timeoutMinutes = flow.timeoutMinutes || DEFAULT_FLOW_TIMEOUT_MINUTES;
+        await state.doc(waId).set({
+            ...contactState,
+            flowId: flow.id,
+            stepId,
+            updatedAt: Timestamp.now(),
+            expiresAt: Timestamp.fromMillis(Date.now() + timeoutMinutes * 60 * 1000)
+        });
+    }
+
+    async function leaveFlow(waId, contactState) {
+        const { flowId, stepId, expiresAt, ruleId, ...rest } = contactState;
+        await state.doc(waId).set({ ...rest, updatedAt: Timestamp.now() });
+    }
+
+    // Reply within an active flow. Returns a result, or null if the flow no longer applies.
+    async function continueFlow(message, contactState) {
+        const flow = await flows.get(contactState.flowId);
+        const step = flow?.enabled !== false ? flow?.steps?.[contactState.stepId] : null;
+        if (!step) {
+            await leaveFlow(message.waId, contactState);
+            return null;
+        }
+
+        const tags = { ruleId: contactState.ruleId || null, flowId: flow.id, stepId: contactState.stepId };
+        const text = normalizeText(message.text);
+        const option = (step.options || []).find(candidate =>
+            candidate.match.some(value => normalizeText(value) === text));
+
+        if (!option) {
+            const fallback = step.fallback || step.message;
+            await send(message.waId, fallback, tags);
+            return { status: 'flow_reprompted', flowId: flow.id, stepId: contactState.stepId };
+        }
+
+        if (option.reply) {
+            await send(message.waId, option.reply, tags);
+        }
+
+        if (option.next) {
+            await enterStep(message.waId, flow, option.next, contactState);
+            return { status: 'flow_advanced', flowId: flow.id, stepId: option.next };
+        }
+
+        await leaveFlow(message.waId, contactState);
+        return { status: 'flow_completed', flowId: flow.id };
+    }
+
+    return {
+        rules,
+        flows,
+
+        // Run the engine for an inbound message. Media without a caption only
+        // matches first_contact and out_of_office rules. Resolves to what happened.
+        async handleInbound(message) {
+            if (!message.waId) {
+                return { status: 'skipped' };
+            }
+
+            const waId = String(message.waId);
+            const stateDoc = await state.doc(waId).get();
+            const contactState = stateDoc.exists ? stateDoc.data() : {};
+
+            if (contactState.flowId && contactState.expiresAt?.toMillis() > Date.now()) {
+                const result = await continueFlow(message, contactState);
+                if (result) {
+                    return result;
+                }
+            }
+
+            const candidates = (await rules.list())
+                .filter(rule => rule.enabled !== false)
+                .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+            for (const rule of candidates) {
+                const lastFired = contactState.lastFired?.[rule.id];
+                if (rule.cooldownMinutes && lastFired && Date.now() - lastFired.toMillis() < rule.cooldownMinutes * 60 * 1000) {
+                    continue;
+                }
+                if (!await ruleMatches(rule, message)) {
+                    continue;
+                }
+
+                const { flowId, stepId, expiresAt, ruleId, ...rest } = contactState;
+                const firedState = {
+                    ...rest,
+                    lastFired: { ...(contactState.lastFired || {}), [rule.id]: Timestamp.now() }
+                };
+
+                if (rule.response) {
+                    await send(waId, rule.response, { ruleId: rule.id });
+                }
+
+                const flow = rule.startFlow ? await flows.get(rule.startFlow) : null;
+                if (flow && flow.enabled !== false) {
+                    await enterStep(waId, flow, flow.startStep, { ...firedState, ruleId: rule.id });
+                    return { status: 'rule_fired', ruleId: rule.id, flowId: flow.id, stepId: flow.startStep };
+                }
+
+                await state.doc(waId).set({ ...firedState, updatedAt: Timestamp.now() });
+                return { status: 'rule_fired', ruleId: rule.id };
+            }
+
+            return { status: 'no_match' };
+        }
+    };
+}
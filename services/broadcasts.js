@@ -0,0 +1,310 @@
+import { Timestamp } from './time.js';
+import { FieldValue } from './database.js';
+import { canTransition, normalizeStatus } from './messageStatus.js';
+import { messageDocId } from './messageIds.js';
+
+// Broadcast template sends.
+//
+// A broadcast is a job doc in `broadcasts` with one doc per recipient in its
+// `recipients` subcollection. A worker sends to pending recipients at a fixed
+// rate and records the WATI message id of each send in
+// `broadcast_message_index`, so the status webhooks can move each recipient
+// through sent → delivered → read (or failed) and keep the job's counts in sync.
+
+const INDEX_COLLECTION = 'broadcast_message_index';
+const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'replied', 'failed'];
+const WRITE_BATCH_SIZE = 400;
+
+function recipientId(phone) {
+    return String(phone).replace(/[^\d]/g, '') || String(phone);
+}
+
+export function createBroadcastService({
+    db,
+    sendTemplate,
+    ratePerSecond = parseFloat(process.env.BROADCAST_RATE_PER_SECOND) || 5,
+    pollIntervalMs = parseInt(process.env.BROADCAST_POLL_MS) || 5000,
+    leaseMs = 60 * 1000,
+    batchSize = 50
+}) {
+    const broadcasts = db.collection('broadcasts');
+    const index = db.collection(INDEX_COLLECTION);
+    const sendIntervalMs = Math.ceil(1000 / ratePerSecond);
+
+    let timer = null;
+    let running = false;
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // recipients: [{ phone, parameters }] (already validated)
+    async function createBroadcast({ templateName, channelNumber, recipients, createdBy = null }) {
+        const broadcastRef = broadcasts.doc();
+        const unique = new Map(recipients.map(recipient => [recipientId(recipient.phone), recipient]));
+
+        await broadcastRef.set({
+            templateName,
+            channelNumber: channelNumber || null,
+            status: 'queued',
+            total: unique.size,
+            counts: Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, status === 'pending' ? unique.size : 0])),
+            createdBy,
+            createdAt: Timestamp.now(),
+            lockedUntil: Timestamp.fromMillis(0)
+        });
+
+        const entries = [...unique.entries()];
+        for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            for (const [id, recipient] of entries.slice(i, i + WRITE_BATCH_SIZE)) {
+                batch.set(broadcastRef.collection('recipients').doc(id), {
+                    phone: recipient.phone,
+                    parameters: recipient.parameters,
+                    status: 'pending',
+                    messageId: null,
+                    error: null,
+                    createdAt: Timestamp.now()
+                });
+            }
+            await batch.commit();
+        }
+
+        return { id: broadcastRef.id, total: unique.size };
+    }
+
+    async function getBroadcast(id, { includeRecipients = false, recipientLimit = 500 } = {}) {
+        const doc = await broadcasts.doc(id).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+        const broadcast = {
+            id: doc.id,
+            templateName: data.templateName,
+            channelNumber: data.channelNumber,
+            status: data.status,
+            total: data.total,
+            counts: data.counts,
+            createdBy: data.createdBy || null,
+            createdAt: data.createdAt?.toMillis?.() || null,
+            startedAt: data.startedAt?.toMillis?.() || null,
+            completedAt: data.completedAt?.toMillis?.() || null
+        };
+
+        if (includeRecipients) {
+            const snapshot = await doc.ref.collection('recipients').limit(recipientLimit).get();
+            broadcast.recipients = snapshot.docs.map(recipient => {
+                const recipientData = recipient.data();
+                return {
+                    phone: recipientData.phone,
+                    status: recipientData.status,
+                    messageId: recipientData.messageId,
+                    error: recipientData.error
+                };
+            });
+        }
+
+        return broadcast;
+    }
+
+    // Stop sending to recipients that have not been sent to yet. Returns false if unknown.
+    async function cancelBroadcast(id) {
+        const broadcastRef = broadcasts.doc(id);
+        const doc = await broadcastRef.get();
+        if (!doc.exists) {
+            return false;
+        }
+        if (['queued', 'running'].includes(doc.data().status)) {
+            await broadcastRef.update({ status: 'cancelled', completedAt: Timestamp.now() });
+        }
+        return true;
+    }
+
+    // Move a recipient to `status` and keep the job counts in step
+    async function setRecipientStatus(broadcastRef, recipientRef, status, fields = {}) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(recipientRef);
+            if (!doc.exists) {
+                return false;
+            }
+
+            const from = doc.data().status;
+            if (!canTransition(from, status)) {
+                return false;
+            }
+
+            transaction.update(recipientRef, { ...fields, status, [`${status}At`]: Timestamp.now() });
+            transaction.update(broadcastRef, {
+                [`counts.${from}`]: FieldValue.increment(-1),
+                [`counts.${status}`]: FieldValue.increment(1)
+            });
+            return true;
+        });
+    }
+
+    // Called by the status webhooks with every id the event carries
+    async function recordMessageStatus(messageIds, rawStatus) {
+        const status = normalizeStatus(rawStatus);
+        if (!status || !RECIPIENT_STATUSES.includes(status)) {
+            return null;
+        }
+
+        for (const messageId of messageIds.filter(Boolean)) {
+            const entry = await index.doc(messageDocId(messageId)).get();
+            if (!entry.exists) {
+                continue;
+            }
+
+            const { broadcastId, recipientId: id } = entry.data();
+            const broadcastRef = broadcasts.doc(broadcastId);
+            const updated = await setRecipientStatus(broadcastRef, broadcastRef.collection('recipients').doc(id), status);
+            return { broadcastId, recipientId: id, updated };
+        }
+        return null;
+    }
+
+    // Take the job for this worker for `leaseMs`. Returns false if someone else holds it.
+    async function claim(broadcastRef) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(broadcastRef);
+            const data = doc.data();
+
+            if (!['queued', 'running'].includes(data.status) || data.lockedUntil?.toMillis() > Date.now()) {
+                return false;
+            }
+
+            transaction.update(broadcastRef, {
+                status: 'running',
+                lockedUntil: Timestamp.fromMillis(Date.now() + leaseMs),
+                ...(data.status === 'queued' && { startedAt: Timestamp.now() })
+            });
+            return true;
+        });
+    }
+
+    async function sendToRecipient(broadcastRef, broadcast, recipientDoc) {
+        const recipient = recipientDoc.data();
+
+        let messageIds;
+        try {
+            ({ messageIds } = await sendTemplate({
+                phone: recipient.phone,
+                templateName: broadcast.templateName,
+                parameters: recipient.parameters,
+                channelNumber: broadcast.channelNumber,
+                broadcastId: broadcastRef.id,
+                createdBy: broadcast.createdBy || null
+            }));
+        } catch (error) {
+            const reason = error.response?.data?.message || error.message;
+            console.error(`Broadcast ${broadcastRef.id}: send to ${recipient.phone} failed:`, reason);
+            await setRecipientStatus(broadcastRef, recipientDoc.ref, 'failed', { error: reason });
+            return;
+        }
+
+        // Marked sent before anything else, so a failure below cannot get the
+        // recipient picked up again as pending and sent a second time
+        await setRecipientStatus(broadcastRef, recipientDoc.ref, 'sent', { messageId: messageIds[0] || null });
+
+        try {
+            const batch = db.batch();
+            for (const messageId of messageIds) {
+                batch.set(index.doc(messageDocId(messageId)), {
+                    broadcastId: broadcastRef.id,
+                    recipientId: recipientDoc.id,
+                    createdAt: Timestamp.now()
+                });
+            }
+            await batch.commit();
+        } catch (error) {
+            // The recipient's status will not follow delivery and read receipts
+            console.error(`Broadcast ${broadcastRef.id}: indexing the message to ${recipient.phone} failed:`, error);
+        }
+    }
+
+    async function processBroadcast(broadcastRef) {
+        if (!await claim(broadcastRef)) {
+            return;
+        }
+
+        while (true) {
+            const current = await broadcastRef.get();
+            const broadcast = current.data();
+            if (broadcast.status !== 'running') {
+                return;
+            }
+
+            const pending = await broadcastRef.collection('recipients')
+                .where('status', '==', 'pending')
+                .limit(batchSize)
+                .get();
+
+            if (pending.empty) {
+                await broadcastRef.update({
+                    status: 'completed',
+                    completedAt: Timestamp.now(),
+                    lockedUntil: Timestamp.fromMillis(0)
+                });
+                console.log(`📣 Broadcast ${broadcastRef.id} completed`);
+                return;
+            }
+
+            for (const recipientDoc of pending.docs) {
+                await sendToRecipient(broadcastRef, broadcast, recipientDoc);
+                // A batch at a low send rate can outlast the lease, so it is renewed per recipient
+                await broadcastRef.update({ lockedUntil: Timestamp.fromMillis(Date.now() + leaseMs) });
+                await sleep(sendIntervalMs);
+            }
+        }
+    }
+
+    async function poll() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const snapshot = await broadcasts
+                .where('status', 'in', ['queued', 'running'])
+                .limit(10)
+                .get();
+
+            for (const doc of snapshot.docs) {
+                await processBroadcast(doc.ref);
+            }
+        } catch (error) {
+            console.error('Broadcast worker poll failed:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    function schedule() {
+        timer = setTimeout(async () => {
+            await poll();
+            if (timer) {
+                schedule();
+            }
+        }, pollIntervalMs);
+    }
+
+    return {
+        createBroadcast,
+        getBroadcast,
+        cancelBroadcast,
+        recordMessageStatus,
+
+        start() {
+            if (!timer) {
+                console.log(`📣 Broadcast worker started (${ratePerSecond} sends/second)`);
+                schedule();
+            }
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
@@ -0,0 +1,149 @@
+import { Timestamp } from './time.js';
+
+// Messaging consent, one `consent/{waId}` doc per contact:
+//
+//   { waId, status: 'opted_in' | 'opted_out', source, updatedAt,
+//     history: [{ status, source, at, keyword?, messageId?, by?, note? }] }
+//
+// Inbound messages consisting of an opt-out keyword (OPT_OUT_KEYWORDS,
+// e.g. "STOP") or opt-in keyword (OPT_IN_KEYWORDS, e.g. "START") change the
+// status; admins can override it. Numbers without a doc have not opted out.
+//
+// The default opt-out keywords are the unambiguous ones. Words that also
+// turn up in ordinary replies ("cancel", "end", "quit") are left out; to
+// use them, set OPT_OUT_KEYWORDS to the full list, e.g.
+// "STOP,STOPALL,UNSUBSCRIBE,OPTOUT,OPT OUT,CANCEL".
+
+const COLLECTION = 'consent';
+
+export const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+const DEFAULT_OPT_OUT_KEYWORDS = 'STOP,STOPALL,UNSUBSCRIBE,OPTOUT,OPT OUT';
+const DEFAULT_OPT_IN_KEYWORDS = 'START,UNSTOP,SUBSCRIBE,OPT IN,OPTIN';
+
+export function parseKeywords(value) {
+    return String(value || '').split(',').map(normalizeKeyword).filter(Boolean);
+}
+
+// "Stop." and " stop " both count as STOP
+function normalizeKeyword(text) {
+    return String(text || '').trim().toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+export function formatConsent(id, data) {
+    return {
+        waId: data.waId || id,
+        status: data.status,
+        source: data.source || null,
+        updatedAt: data.updatedAt?.toMillis ? data.updatedAt.toMillis() : null,
+        history: (data.history || []).map(entry => ({
+            ...entry,
+            at: entry.at?.toMillis ? entry.at.toMillis() : entry.at
+        }))
+    };
+}
+
+export function createConsentService({
+    db,
+    optOutKeywords = parseKeywords(process.env.OPT_OUT_KEYWORDS || DEFAULT_OPT_OUT_KEYWORDS),
+    optInKeywords = parseKeywords(process.env.OPT_IN_KEYWORDS || DEFAULT_OPT_IN_KEYWORDS)
+}) {
+    const collection = db.collection(COLLECTION);
+
+    // 'opted_out', 'opted_in' or null if the text is not a consent keyword
+    function matchKeyword(text) {
+        const normalized = normalizeKeyword(text);
+        if (!normalized) {
+            return null;
+        }
+        if (optOutKeywords.includes(normalized)) {
+            return 'opted_out';
+        }
+        if (optInKeywords.includes(normalized)) {
+            return 'opted_in';
+        }
+        return null;
+    }
+
+    // Record a status change. Resolves to { changed, consent }.
+    async function setConsent(waId, status, { source, keyword = null, messageId = null, by = null, note = null } = {}) {
+        const ref = collection.doc(String(waId));
+        const at = Timestamp.now();
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const current = doc.exists ? doc.data() : null;
+            const history = current?.history || [];
+
+            // The same inbound message seen twice (webhook retry)
+            if (messageId && history.some(entry => entry.messageId === messageId)) {
+                return { changed: false, consent: formatConsent(ref.id, current) };
+            }
+
+            const entry = {
+                status,
+                source,
+                at,
+                ...(keyword && { keyword }),
+                ...(messageId && { messageId }),
+                ...(by && { by }),
+                ...(note && { note })
+            };
+            const next = {
+                waId: String(waId),
+                status,
+                source,
+                updatedAt: at,
+                history: [...history, entry]
+            };
+
+            transaction.set(ref, next);
+            return { changed: current?.status !== status, consent: formatConsent(ref.id, next) };
+        });
+    }
+
+    async function getConsent(waId) {
+        const doc = await collection.doc(String(waId)).get();
+        return doc.exists ? formatConsent(doc.id, doc.data()) : null;
+    }
+
+    return {
+        matchKeyword,
+        setConsent,
+        getConsent,
+
+        // The consent record if the number has opted out, otherwise null
+        async getOptOut(waId) {
+            const consent = await getConsent(waId);
+            return consent?.status === 'opted_out' ? consent : null;
+        },
+
+        async list({ status } = {}) {
+            let query = collection;
+            if (status) {
+                query = query.where('status', '==', status);
+            }
+            const snapshot = await query.get();
+            return snapshot.docs.map(doc => formatConsent(doc.id, doc.data()));
+        },
+
+        // Check an inbound message for a consent keyword. Resolves to the
+        // setConsent() result, or null if the message is not a keyword.
+        async handleInbound(message) {
+            if (!message.waId || message.type && message.type !== 'text') {
+                return null;
+            }
+
+            const status = matchKeyword(message.text);
+            if (!status) {
+                return null;
+            }
+
+            return setConsent(message.waId, status, {
+                source: 'keyword',
+                keyword: normalizeKeyword(message.text).toUpperCase(),
+                messageId: message.id || null
+            });
+        }
+    };
+}
@@ -0,0 +1,327 @@
+import { Timestamp, toMillis } from './time.js';
+import { CONVERSATION_STATUSES, normalizeTag } from './conversations.js';
+import { messageDocId } from './messageIds.js';
+
+// Materialized `contacts` collection, one doc per waId, kept up to date as
+// messages are ingested or sent so GET /api/contacts never has to scan
+// whatsapp_messages. Conversation status, assignee and tags are copied in by
+// services/conversations.js.
+
+export const DEFAULT_CONTACTS_PAGE_SIZE = 50;
+export const MAX_CONTACTS_PAGE_SIZE = 200;
+const PREVIEW_LENGTH = 200;
+
+// WhatsApp only allows free-form (session) messages within 24 hours of the
+// customer's last message; outside it only approved templates can be sent.
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Sort option → [field, direction]
+const SORTS = {
+    recent: ['lastTimestamp', 'desc'],
+    name: ['nameLower', 'asc'],
+    unread: ['unreadCount', 'desc']
+};
+
+// Best display name we can find on a message doc
+export function contactNameFromMessage(message) {
+    const rawData = message.rawData || {};
+    return rawData.senderName ||
+        rawData.watiResponse?.contact?.fullName ||
+        rawData.watiResponse?.contact?.firstName ||
+        null;
+}
+
+function previewText(message) {
+    const text = message.text || message.caption || (message.type && message.type !== 'text' ? `[${message.type}]` : '');
+    return String(text).slice(0, PREVIEW_LENGTH);
+}
+
+// Fold one message into the contact doc. Inbound messages bump unreadCount;
+// older messages never replace the last message preview.
+export async function updateContactFromMessage(db, message) {
+    if (!message.waId) {
+        return;
+    }
+
+    const contactRef = db.collection('contacts').doc(String(message.waId));
+    const timestamp = message.timestamp?.toMillis ? message.timestamp : Timestamp.fromMillis(toMillis(message.timestamp));
+    const name = contactNameFromMessage(message);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(contactRef);
+        const contact = doc.exists ? doc.data() : null;
+
+        // Already counted (e.g. a retried webhook event)
+        if (contact && message.id && contact.lastMessageId === message.id) {
+            return;
+        }
+
+        const update = {
+            waId: String(message.waId),
+            updatedAt: Timestamp.now()
+        };
+
+        if (name || !contact?.name) {
+            update.name = name || contact?.name || String(message.waId);
+            update.nameLower = update.name.toLowerCase();
+        }
+
+        if (!contact || toMillis(contact.lastTimestamp) <= timestamp.toMillis()) {
+            update.lastMessage = previewText(message);
+            update.lastMessageId = message.id || null;
+            update.lastTimestamp = timestamp;
+            update.lastDirection = message.direction || null;
+        }
+
+        // New contacts start with an open, unassigned conversation
+        if (!contact?.conversationStatus) {
+            update.conversationStatus = 'open';
+            update.assignee = null;
+            update.assigneeId = null;
+            update.tags = [];
+        }
+
+        if (message.direction === 'incoming') {
+            update.unreadCount = (contact?.unreadCount || 0) + 1;
+            if (!contact?.lastInboundAt || toMillis(contact.lastInboundAt) < timestamp.toMillis()) {
+                update.lastInboundAt = timestamp;
+            }
+        } else if (!contact) {
+            update.unreadCount = 0;
+        }
+
+        transaction.set(contactRef, update, { merge: true });
+    });
+}
+
+// { open, lastInboundAt, expiresAt } for a contact doc (or null if unknown)
+export function serviceWindow(data, now = Date.now()) {
+    if (!data?.lastInboundAt) {
+        return { open: false, lastInboundAt: null, expiresAt: null };
+    }
+
+    const lastInboundAt = toMillis(data.lastInboundAt);
+    const expiresAt = lastInboundAt + SERVICE_WINDOW_MS;
+    return { open: now < expiresAt, lastInboundAt, expiresAt };
+}
+
+export function formatContact(id, data) {
+    return {
+        waId: data.waId || id,
+        name: data.name || data.waId || id,
+        lastMessage: data.lastMessage || '',
+        lastDirection: data.lastDirection || null,
+        timestamp: data.lastTimestamp ? toMillis(data.lastTimestamp) : null,
+        unreadCount: data.unreadCount || 0,
+        serviceWindow: serviceWindow(data),
+        conversation: {
+            status: data.conversationStatus || 'open',
+            assignee: data.assignee || null,
+            tags: data.tags || []
+        }
+    };
+}
+
+// One contact, or null if we have never seen the number
+export async function getContact(db, waId) {
+    const doc = await db.collection('contacts').doc(String(waId)).get();
+    return doc.exists ? formatContact(doc.id, doc.data()) : null;
+}
+
+// Service window of a number, looked up by waId (digits only)
+export async function getServiceWindow(db, waId) {
+    const doc = await db.collection('contacts').doc(String(waId)).get();
+    return serviceWindow(doc.exists ? doc.data() : null);
+}
+
+// Validate the query string of GET /api/contacts. Returns { error } or the options.
+export function parseContactListQuery(query) {
+    const limit = query.limit === undefined ? DEFAULT_CONTACTS_PAGE_SIZE : parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) {
+        return { error: "'limit' must be a positive number" };
+    }
+
+    const sort = query.sort || 'recent';
+    if (!SORTS[sort]) {
+        return { error: `'sort' must be one of: ${Object.keys(SORTS).join(', ')}` };
+    }
+
+    if (query.status && !CONVERSATION_STATUSES.includes(query.status)) {
+        return { error: `'status' must be one of: ${CONVERSATION_STATUSES.join(', ')}` };
+    }
+
+    return {
+        limit: Math.min(limit, MAX_CONTACTS_PAGE_SIZE),
+        cursor: query.cursor || null,
+        search: query.search ? String(query.search).trim().toLowerCase() : '',
+        sort,
+        // Conversation filters: assignee is an agent id or 'unassigned'
+        assignee: query.assignee ? String(query.assignee) : null,
+        status: query.status || null,
+        tag: query.tag ? normalizeTag(query.tag) : null
+    };
+}
+
+// Sort key of a contact doc for `field`, comparable with < and >
+function sortValue(data, field) {
+    const value = data[field];
+    return value?.toMillis ? value.toMillis() : value;
+}
+
+// One page of contacts. A search is a prefix match on the number (digits) or
+// the name, and is ordered by that field instead of `sort`.
+//
+// Conversation filters combined with a sort or a search need a composite
+// index on Firestore. Where one is missing (or still building) the filtered
+// contacts are sorted and paged in memory instead.
+export async function listContacts(db, options) {
+    const contacts = db.collection('contacts');
+    let filtered = contacts;
+
+    if (options.assignee) {
+        filtered = filtered.where('assigneeId', '==', options.assignee === 'unassigned' ? null : options.assignee);
+    }
+    if (options.status) {
+        filtered = filtered.where('conversationStatus', '==', options.status);
+    }
+    if (options.tag) {
+        filtered = filtered.where('tags', 'array-contains', options.tag);
+    }
+
+    let field, direction, term = null;
+    if (options.search) {
+        const digits = options.search.replace(/[^\d]/g, '');
+        const isNumber = /^[+\d\s()-]+$/.test(options.search) && digits.length > 0;
+        field = isNumber ? 'waId' : 'nameLower';
+        direction = 'asc';
+        term = isNumber ? digits : options.search;
+    } else {
+        [field, direction] = SORTS[options.sort];
+    }
+
+    let cursorDoc = null;
+    if (options.cursor) {
+        cursorDoc = await contacts.doc(options.cursor).get();
+        if (!cursorDoc.exists) {
+            return null;
+        }
+    }
+
+    let docs;
+    try {
+        let query = filtered;
+        if (term !== null) {
+            query = query
+                .where(field, '>=', term)
+                .where(field, '<', term + '\uf8ff');
+        }
+        query = query.orderBy(field, direction);
+        if (cursorDoc) {
+            query = query.startAfter(cursorDoc);
+        }
+
+        docs = (await query.limit(options.limit + 1).get()).docs;
+    } catch (queryError) {
+        if (queryError.code !== 9) { // FAILED_PRECONDITION
+            throw queryError;
+        }
+
+        console.warn('Using fallback contacts query (index may be missing or building)');
+
+        // Same order as Firestore: by the field, then by doc id, both in `direction`
+        const sign = direction === 'desc' ? -1 : 1;
+        const compare = (a, b) => {
+            const [valueA, valueB] = [sortValue(a.data(), field), sortValue(b.data(), field)];
+            if (valueA !== valueB) {
+                return (valueA < valueB ? -1 : 1) * sign;
+            }
+            return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * sign;
+        };
+
+        docs = (await filtered.get()).docs
+            .filter(doc => {
+                const value = doc.data()[field];
+                return value !== undefined && value !== null &&
+                    (term === null || (value >= term && value < term + '\uf8ff'));
+            })
+            .filter(doc => !cursorDoc || compare(doc, cursorDoc) > 0)
+            .sort(compare)
+            .slice(0, options.limit + 1);
+    }
+
+    const page = docs.slice(0, options.limit);
+    const hasMore = docs.length > options.limit;
+
+    return {
+        contacts: page.map(doc => formatContact(doc.id, doc.data())),
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+        hasMore
+    };
+}
+
+// Mark inbound messages of a conversation as seen, up to and including
+// `upToMessageId` (or all of them), and take them off the contact's
+// unreadCount. Resolves to null if the message does not belong to the conversation.
+//
+// Only messages stored with seen: false are unread. Messages stored before
+// read tracking existed have no `seen` field and count as read on purpose:
+// nobody is going to work through that history message by message.
+export async function markConversationRead(db, waId, { upToMessageId = null, readBy = null } = {}) {
+    const messages = db.collection('whatsapp_messages');
+    let upToMillis = Infinity;
+
+    if (upToMessageId) {
+        const upTo = await messages.doc(messageDocId(upToMessageId)).get();
+        if (!upTo.exists || String(upTo.data().waId) !== String(waId)) {
+            return null;
+        }
+        upToMillis = toMillis(upTo.data().timestamp);
+    }
+
+    // Inbound messages are stored with seen: false until an agent reads them
+    const unread = messages
+        .where('waId', '==', String(waId))
+        .where('seen', '==', false);
+    const snapshot = await unread.get();
+
+    const now = Timestamp.now();
+    const toMark = snapshot.docs.filter(doc => toMillis(doc.data().timestamp) <= upToMillis);
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < toMark.length; i += 400) {
+        const batch = db.batch();
+        for (const doc of toMark.slice(i, i + 400)) {
+            batch.update(doc.ref, { seen: true, seenAt: now, seenBy: readBy });
+        }
+        await batch.commit();
+    }
+
+    const lastMarked = toMark.reduce((latest, doc) =>
+        !latest || toMillis(doc.data().timestamp) > toMillis(latest.data().timestamp) ? doc : latest, null);
+    // The id WATI knows the message by, not its doc id (see services/messageIds.js)
+    const lastReadMessageId = lastMarked ? String(lastMarked.data().id ?? lastMarked.id) : null;
+
+    // Subtract rather than overwrite, since a message that arrived after the
+    // query above may already be counted by updateContactFromMessage(). The
+    // count never exceeds the unread messages left, which also clears counts
+    // made up of messages without `seen`.
+    const contactRef = db.collection('contacts').doc(String(waId));
+    const unreadCount = await db.runTransaction(async (transaction) => {
+        const contact = await transaction.get(contactRef);
+        const left = await transaction.get(unread);
+        const count = Math.max(Math.min((contact.exists ? contact.data().unreadCount || 0 : 0) - toMark.length, left.size), 0);
+
+        transaction.set(contactRef, {
+            unreadCount: count,
+            lastReadAt: now,
+            ...(lastReadMessageId && { lastReadMessageId })
+        }, { merge: true });
+        return count;
+    });
+
+    return {
+        markedCount: toMark.length,
+        unreadCount,
+        lastReadMessageId
+    };
+}
@@ -0,0 +1,256 @@
+import { Timestamp } from './time.js';
+
+// Agent-side state of a conversation, one `conversations/{waId}` doc per contact:
+//
+//   { waId, status: 'open' | 'pending' | 'resolved', assignee: { id, name } | null,
+//     tags: [...], updatedAt, resolvedAt,
+//     history: [{ action, at, by, from?, to?, ... }] }
+//
+// Internal notes live in `conversations/{waId}/notes` and are never sent to
+// WhatsApp. Status, assignee and tags are copied onto the contact doc
+// (conversationStatus, assignee, assigneeId, tags) so GET /api/contacts can
+// filter on them. Numbers without a doc have an open, unassigned conversation.
+// Contacts stored before these fields existed get them from
+// `npm run migrate:conversation-fields` (scripts/conversation-fields.js).
+
+const COLLECTION = 'conversations';
+const NOTES = 'notes';
+
+export const CONVERSATION_STATUSES = ['open', 'pending', 'resolved'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_NOTE_LENGTH = 5000;
+const MAX_HISTORY = 100;
+
+export function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+function toMillisOrNull(value) {
+    return value?.toMillis ? value.toMillis() : null;
+}
+
+export function formatConversation(waId, data = null) {
+    return {
+        waId: data?.waId || String(waId),
+        status: data?.status || 'open',
+        assignee: data?.assignee || null,
+        tags: data?.tags || [],
+        updatedAt: toMillisOrNull(data?.updatedAt),
+        resolvedAt: toMillisOrNull(data?.resolvedAt),
+        history: (data?.history || []).map(entry => ({
+            ...entry,
+            at: entry.at?.toMillis ? entry.at.toMillis() : entry.at
+        }))
+    };
+}
+
+export function formatNote(id, data) {
+    return {
+        id,
+        waId: data.waId,
+        text: data.text,
+        author: data.author || null,
+        createdAt: toMillisOrNull(data.createdAt)
+    };
+}
+
+// { id, name } from a request body value, or { error }. null unassigns.
+export function parseAssignee(value) {
+    if (value === null) {
+        return { assignee: null };
+    }
+
+    const assignee = typeof value === 'string' ? { id: value } : value;
+    if (!assignee?.id || typeof assignee.id !== 'string') {
+        return { error: "'assignee' must be an agent id or { id, name }" };
+    }
+    return { assignee: { id: assignee.id, name: assignee.name ? String(assignee.name) : assignee.id } };
+}
+
+export function createConversationService({ db }) {
+    const collection = db.collection(COLLECTION);
+
+    // Apply `change(current)` to a conversation in a transaction. `change`
+    // returns { error, conflict? }, null for no change, or { fields, entry }.
+    // Resolves to the same error, or { changed, conversation }.
+    async function update(waId, change, by = null) {
+        const ref = collection.doc(String(waId));
+        const contactRef = db.collection('contacts').doc(String(waId));
+        const at = Timestamp.now();
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const current = formatConversation(waId, doc.exists ? doc.data() : null);
+
+            const result = change(current);
+            if (result?.error) {
+                return result;
+            }
+            if (!result) {
+                return { changed: false, conversation: current };
+            }
+
+            const history = [...(doc.exists ? doc.data().history || [] : []), {
+                ...result.entry,
+                at,
+                by: by || null
+            }].slice(-MAX_HISTORY);
+
+            const next = {
+                waId: String(waId),
+                status: current.status,
+                assignee: current.assignee,
+                tags: current.tags,
+                resolvedAt: doc.exists ? doc.data().resolvedAt || null : null,
+                ...result.fields,
+                updatedAt: at,
+                history
+            };
+
+            transaction.set(ref, next);
+            transaction.set(contactRef, {
+                waId: String(waId),
+                conversationStatus: next.status,
+                assignee: next.assignee,
+                assigneeId: next.assignee?.id || null,
+                tags: next.tags
+            }, { merge: true });
+
+            return { changed: true, conversation: formatConversation(waId, next) };
+        });
+    }
+
+    async function setStatus(waId, status, { by = null } = {}) {
+        if (!CONVERSATION_STATUSES.includes(status)) {
+            return { error: `'status' must be one of: ${CONVERSATION_STATUSES.join(', ')}` };
+        }
+
+        return update(waId, (current) => current.status === status ? null : {
+            fields: { status, ...(status === 'resolved' && { resolvedAt: Timestamp.now() }) },
+            entry: { action: 'status', from: current.status, to: status }
+        }, by);
+    }
+
+    return {
+        setStatus,
+
+        async get(waId) {
+            const doc = await collection.doc(String(waId)).get();
+            return formatConversation(waId, doc.exists ? doc.data() : null);
+        },
+
+        // Take an unassigned conversation (or drop it with assignee null). A
+        // conversation someone else holds has to be transferred instead.
+        async assign(waId, value, { by = null } = {}) {
+            const { assignee, error } = parseAssignee(value);
+            if (error) {
+                return { error };
+            }
+
+            return update(waId, (current) => {
+                if (current.assignee?.id === assignee?.id) {
+                    return null;
+                }
+                if (assignee && current.assignee) {
+                    return { error: `Conversation is assigned to ${current.assignee.name}; transfer it instead`, conflict: true };
+                }
+                return {
+                    fields: { assignee },
+                    entry: { action: assignee ? 'assigned' : 'unassigned', from: current.assignee, to: assignee }
+                };
+            }, by);
+        },
+
+        // Hand an assigned conversation over to another agent
+        async transfer(waId, value, { by = null, reason = null } = {}) {
+            const { assignee, error } = parseAssignee(value);
+            if (error || !assignee) {
+                return { error: error || "'assignee' is required" };
+            }
+
+            return update(waId, (current) => {
+                if (!current.assignee) {
+                    return { error: 'Conversation is not assigned; assign it instead', conflict: true };
+                }
+                if (current.assignee.id === assignee.id) {
+                    return null;
+                }
+                return {
+                    fields: { assignee },
+                    entry: { action: 'transferred', from: current.assignee, to: assignee, ...(reason && { reason: String(reason) }) }
+                };
+            }, by);
+        },
+
+        // body: { add: [...], remove: [...] }
+        async updateTags(waId, { add = [], remove = [] } = {}, { by = null } = {}) {
+            if (!Array.isArray(add) || !Array.isArray(remove)) {
+                return { error: "'add' and 'remove' must be arrays of tags" };
+            }
+
+            const added = add.map(normalizeTag).filter(Boolean);
+            const removed = remove.map(normalizeTag).filter(Boolean);
+            const tooLong = [...added, ...removed].find(tag => tag.length > MAX_TAG_LENGTH);
+            if (tooLong) {
+                return { error: `Tags are limited to ${MAX_TAG_LENGTH} characters: ${tooLong}` };
+            }
+
+            return update(waId, (current) => {
+                const tags = [...new Set([...current.tags.filter(tag => !removed.includes(tag)), ...added])];
+                if (tags.length > MAX_TAGS) {
+                    return { error: `A conversation can have at most ${MAX_TAGS} tags` };
+                }
+                if (tags.length === current.tags.length && tags.every(tag => current.tags.includes(tag))) {
+                    return null;
+                }
+                return {
+                    fields: { tags },
+                    entry: {
+                        action: 'tagged',
+                        added: tags.filter(tag => !current.tags.includes(tag)),
+                        removed: current.tags.filter(tag => !tags.includes(tag))
+                    }
+                };
+            }, by);
+        },
+
+        async addNote(waId, text, { by = null } = {}) {
+            const body = typeof text === 'string' ? text.trim() : '';
+            if (!body) {
+                return { error: "'text' is required" };
+            }
+            if (body.length > MAX_NOTE_LENGTH) {
+                return { error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` };
+            }
+
+            const data = { waId: String(waId), text: body, author: by, createdAt: Timestamp.now() };
+            const ref = await collection.doc(String(waId)).collection(NOTES).add(data);
+            return formatNote(ref.id, data);
+        },
+
+        // Newest first
+        async listNotes(waId, { limit = 50 } = {}) {
+            const snapshot = await collection.doc(String(waId)).collection(NOTES)
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+            return snapshot.docs.map(doc => formatNote(doc.id, doc.data()));
+        },
+
+        // A customer writing back reopens a resolved conversation. Resolves to
+        // the conversation if it was reopened, otherwise null.
+        async handleInbound(message) {
+            if (!message.waId) {
+                return null;
+            }
+
+            const result = await update(message.waId, (current) => current.status !== 'resolved' ? null : {
+                fields: { status: 'open' },
+                entry: { action: 'reopened', from: 'resolved', to: 'open', ...(message.id && { messageId: String(message.id) }) }
+            });
+            return result.changed ? result.conversation : null;
+        }
+    };
+}
@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV parsing for uploads: quoted fields, escaped quotes
+// ("") and CRLF line endings. The first row is the header.
+
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV text into an array of objects keyed by the (trimmed) header names
+export function parseCsv(text) {
+    const [header, ...rows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => name.trim());
+    return rows.map(cells => Object.fromEntries(
+        columns.map((column, index) => [column, (cells[index] ?? '').trim()])
+    ));
+}
@@ -0,0 +1,35 @@
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
+import { initFirestore } from './firebase.js';
+import { createMemoryDatabase } from './memoryDb.js';
+
+// The database every service is given as `db`.
+//
+// Services are written against the Firestore document API: collection(),
+// doc(), get(), set() (with merge), create(), update() (dotted field paths),
+// delete(), add(), where() / orderBy() / limit() / startAfter() queries,
+// batch() and runTransaction(), plus the FieldValue sentinels and
+// FieldPath.documentId() exported here and Timestamps from services/time.js.
+// Each backend implements that API:
+//
+//   firestore - Cloud Firestore (FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY)
+//   memory    - in-process store for local development and tests (services/memoryDb.js)
+//
+// DB_BACKEND picks one and defaults to firestore. The memory backend is only
+// used when asked for with DB_BACKEND=memory, so a server missing its
+// Firebase credentials fails at startup instead of losing data on restart.
+
+export { FieldPath, FieldValue };
+
+export const DB_BACKENDS = ['firestore', 'memory'];
+
+export function initDatabase({ backend = process.env.DB_BACKEND || 'firestore' } = {}) {
+    switch (backend) {
+        case 'firestore':
+            return initFirestore();
+        case 'memory':
+            console.warn('⚠️ Using the in-memory database: data is lost on restart.');
+            return createMemoryDatabase();
+        default:
+            throw new Error(`Unknown DB_BACKEND: ${backend} (expected one of: ${DB_BACKENDS.join(', ')})`);
+    }
+}
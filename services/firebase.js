@@ -0,0 +1,32 @@
+import { initializeApp, cert } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// Firestore connection shared by the server (see services/database.js) and the
+// maintenance scripts. Throws when the Firebase credentials are missing or invalid.
+export function initFirestore() {
+    console.log("🔥 Initializing Firebase...");
+    console.log("🔥 FIREBASE_PROJECT_ID:", process.env.FIREBASE_PROJECT_ID);
+    console.log("🔥 FIREBASE_CLIENT_EMAIL:", process.env.FIREBASE_CLIENT_EMAIL);
+    console.log("🔥 FIREBASE_PRIVATE_KEY (partial):", process.env.FIREBASE_PRIVATE_KEY?.slice(0, 30), "...");
+
+    if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
+        console.error("❌ Missing Firebase environment variables.");
+        throw new Error('FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY must be set to use Firestore');
+    }
+
+    try {
+        const firebaseApp = initializeApp({
+            credential: cert({
+                projectId: process.env.FIREBASE_PROJECT_ID,
+                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+            }),
+        });
+        console.log("✅ Firebase initialized successfully.");
+
+        return getFirestore(firebaseApp);
+    } catch (error) {
+        console.error("❌ Firebase initialization error:", error);
+        throw error;
+    }
+}
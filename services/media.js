@@ -0,0 +1,250 @@
+import axios from 'axios';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import https from 'node:https';
+import net from 'node:net';
+import path from 'node:path';
+
+// WhatsApp media rules for outgoing files: which MIME types are accepted for
+// each media type and how large they may be.
+//
+// Files are downloaded over https only, from public addresses only (checked
+// when connecting, so a DNS answer cannot change in between) and each
+// redirect is checked the same way. Their content has to match the MIME type
+// they claim, whether it came from an upload or a download.
+
+const MB = 1024 * 1024;
+
+export const WHATSAPP_MEDIA_LIMITS = {
+    image: {
+        maxBytes: 5 * MB,
+        mimeTypes: ['image/jpeg', 'image/png']
+    },
+    video: {
+        maxBytes: 16 * MB,
+        mimeTypes: ['video/mp4', 'video/3gpp']
+    },
+    audio: {
+        maxBytes: 16 * MB,
+        mimeTypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg']
+    },
+    document: {
+        maxBytes: 100 * MB,
+        mimeTypes: [
+            'application/pdf',
+            'text/plain',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        ]
+    },
+    sticker: {
+        maxBytes: 100 * 1024,
+        mimeTypes: ['image/webp']
+    }
+};
+
+export const MAX_MEDIA_BYTES = Math.max(...Object.values(WHATSAPP_MEDIA_LIMITS).map(limit => limit.maxBytes));
+
+const MAX_REDIRECTS = 3;
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const startsWithText = (buffer, text, offset = 0) => buffer.subarray(offset, offset + text.length).toString('latin1') === text;
+// MP4, 3GP and M4A files all start with an ISO media 'ftyp' box
+const isIsoMedia = (buffer) => startsWithText(buffer, 'ftyp', 4);
+// The pre-2007 Office formats are OLE2 compound files
+const isOle2 = (buffer) => startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+// The current Office formats are ZIP archives
+const isZip = (buffer) => startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]);
+
+// Whether a file's first bytes fit each accepted MIME type. Formats sharing
+// a container (e.g. .docx and .xlsx) cannot be told apart this way.
+const SIGNATURES = {
+    'image/jpeg': (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]),
+    'image/png': (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    'image/webp': (buffer) => startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'WEBP', 8),
+    'video/mp4': isIsoMedia,
+    'video/3gpp': isIsoMedia,
+    'audio/mp4': isIsoMedia,
+    'audio/aac': (buffer) => startsWithText(buffer, 'ADIF') || (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0),
+    'audio/mpeg': (buffer) => startsWithText(buffer, 'ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0),
+    'audio/amr': (buffer) => startsWithText(buffer, '#!AMR'),
+    'audio/ogg': (buffer) => startsWithText(buffer, 'OggS'),
+    'application/pdf': (buffer) => startsWithText(buffer, '%PDF-'),
+    'text/plain': (buffer) => !buffer.subarray(0, 8192).includes(0),
+    'application/msword': isOle2,
+    'application/vnd.ms-excel': isOle2,
+    'application/vnd.ms-powerpoint': isOle2,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip
+};
+
+// Media type for a file, or { error } if WhatsApp would not accept it. With
+// `buffer`, the content must also look like the claimed MIME type.
+export function classifyMedia(mimeType, size, buffer = null) {
+    const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    const entry = Object.entries(WHATSAPP_MEDIA_LIMITS).find(([, limit]) => limit.mimeTypes.includes(mime));
+
+    if (!entry) {
+        return { error: `Unsupported media type: ${mime || 'unknown'}` };
+    }
+
+    const [type, limit] = entry;
+    if (size > limit.maxBytes) {
+        return { error: `${type} files are limited to ${Math.round(limit.maxBytes / 1024)} KB (got ${Math.round(size / 1024)} KB)` };
+    }
+    if (buffer && !SIGNATURES[mime](buffer)) {
+        return { error: `The file content is not ${mime}` };
+    }
+    return { type, mimeType: mime };
+}
+
+// Addresses a download must never reach: this host, private networks,
+// link-local (cloud metadata endpoints), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup() that refuses hostnames resolving to a non-public address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgent = new https.Agent({ lookup: publicLookup });
+
+// Throws unless `url` is an https URL that may be downloaded
+export function checkMediaUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error('Invalid url');
+    }
+
+    if (parsed.protocol !== 'https:') {
+        throw new Error('Only https URLs can be downloaded');
+    }
+
+    // IP literals are connected to without a lookup, so are checked here
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw new Error(`${host} is not a public address`);
+    }
+    return parsed;
+}
+
+function filenameFromUrl(url) {
+    const name = path.basename(url.pathname);
+    try {
+        return decodeURIComponent(name) || `media_${Date.now()}`;
+    } catch (e) {
+        // Not valid percent-encoding, e.g. "100%.pdf"
+        return name || `media_${Date.now()}`;
+    }
+}
+
+export function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Download a file (see the rules at the top). Rejects anything over
+// `maxBytes`. `headers` are only sent to the host of `url`, not to hosts it
+// redirects to.
+export async function fetchRemoteMedia(url, { maxBytes = MAX_MEDIA_BYTES, headers = {} } = {}) {
+    const original = checkMediaUrl(url);
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        const parsed = checkMediaUrl(current);
+        const response = await axios.get(parsed.href, {
+            responseType: 'arraybuffer',
+            maxContentLength: maxBytes,
+            headers: parsed.host === original.host ? headers : {},
+            httpsAgent: publicAgent,
+            proxy: false,
+            maxRedirects: 0,
+            validateStatus: (status) => status >= 200 && status < 400,
+            timeout: 30000
+        });
+
+        if (response.status >= 300) {
+            if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+                throw new Error(`Too many or invalid redirects from ${url}`);
+            }
+            current = new URL(response.headers.location, parsed).href;
+            continue;
+        }
+
+        return {
+            buffer: Buffer.from(response.data),
+            filename: filenameFromUrl(original),
+            mimeType: response.headers['content-type'] || 'application/octet-stream'
+        };
+    }
+}
+
+// Content-addressed storage key, so the same file is only stored once
+export function mediaStorageKey(hash, filename) {
+    const extension = path.extname(filename || '').toLowerCase().replace(/[^.\w]/g, '');
+    return `attachments/${hash}${extension}`;
+}
+
+// Fetch an inbound WATI attachment and put it in `storage`. Resolves to the
+// archive fields for the attachment doc.
+export async function archiveMedia({ storage, urls, headersFor = () => ({}), filename }) {
+    let lastError;
+
+    // Try the resolved attachment URL first, then the URL from the webhook
+    for (const url of urls.filter(Boolean)) {
+        try {
+            const media = await fetchRemoteMedia(url, { headers: headersFor(url) });
+            const hash = sha256(media.buffer);
+            const storageKey = mediaStorageKey(hash, filename || media.filename);
+            const contentType = media.mimeType.split(';')[0].trim();
+
+            if (!await storage.exists(storageKey)) {
+                await storage.save(storageKey, media.buffer, { contentType });
+            }
+
+            return {
+                sha256: hash,
+                storageKey,
+                storageBackend: storage.name,
+                contentType,
+                size: media.buffer.length,
+                sourceUrl: url
+            };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError || new Error('No attachment URL to download');
+}
@@ -0,0 +1,87 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getStorage } from 'firebase-admin/storage';
+
+// Where archived media files live. Select with MEDIA_STORAGE:
+//   local  - files under MEDIA_STORAGE_DIR (default ./media)
+//   bucket - a Cloud Storage bucket (MEDIA_STORAGE_BUCKET, or the project's default bucket)
+//
+// Every backend exposes the same three methods:
+//   save(key, buffer, { contentType }) → Promise
+//   exists(key)                        → Promise<boolean>
+//   createReadStream(key)              → Readable
+
+function createLocalStorage({ dir }) {
+    const root = path.resolve(dir);
+
+    // Keys are generated by us, but never let one escape the media directory
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolveKey(key));
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        }
+    };
+}
+
+function createBucketStorage({ bucketName }) {
+    const bucket = bucketName ? getStorage().bucket(bucketName) : getStorage().bucket();
+
+    return {
+        name: 'bucket',
+
+        async save(key, buffer, { contentType } = {}) {
+            await bucket.file(key).save(buffer, {
+                resumable: false,
+                contentType
+            });
+        },
+
+        async exists(key) {
+            const [exists] = await bucket.file(key).exists();
+            return exists;
+        },
+
+        createReadStream(key) {
+            return bucket.file(key).createReadStream();
+        }
+    };
+}
+
+export function createMediaStorage({
+    backend = process.env.MEDIA_STORAGE || 'local',
+    dir = process.env.MEDIA_STORAGE_DIR || './media',
+    bucketName = process.env.MEDIA_STORAGE_BUCKET
+} = {}) {
+    switch (backend) {
+        case 'local':
+            return createLocalStorage({ dir });
+        case 'bucket':
+            return createBucketStorage({ bucketName });
+        default:
+            throw new Error(`Unknown MEDIA_STORAGE backend: ${backend}`);
+    }
+}
@@ -0,0 +1,430 @@
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
+import { Timestamp } from './time.js';
+
+// In-memory document store with the part of the Firestore API this service
+// uses (see services/database.js), for local development and tests. Nothing
+// is persisted; data is lost when the process exits.
+//
+// Documents hold the same values as in Firestore, including Timestamps, and
+// the FieldValue sentinels (increment, arrayUnion, arrayRemove, delete,
+// serverTimestamp) are applied on write. Transactions run one at a time.
+
+const DOCUMENT_ID = FieldPath.documentId();
+
+function firestoreError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const INVALID_ARGUMENT = 3;
+
+let autoIdCounter = 0;
+
+// 20 characters, like Firestore's auto ids
+function autoId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 16; i++) {
+        id += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return id + String(++autoIdCounter % 10000).padStart(4, '0');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy of plain objects and arrays; Timestamps, Buffers and other
+// instances are immutable enough to share
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function fieldName(field) {
+    return field instanceof FieldPath ? field.toString() : String(field);
+}
+
+function getField(data, id, field) {
+    const name = fieldName(field);
+    if (name === DOCUMENT_ID.toString()) {
+        return id;
+    }
+    return name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+// Firestore's cross-type ordering, simplified to the types we store
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'object'];
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (value instanceof Timestamp) {
+        return 'timestamp';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value === 'object' ? 'object' : typeof value;
+}
+
+export function compareValues(a, b) {
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB) {
+        return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+    }
+
+    switch (typeA) {
+        case 'null':
+            return 0;
+        case 'timestamp':
+            return a.toMillis() - b.toMillis();
+        case 'array': {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const result = compareValues(a[i], b[i]);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return a.length - b.length;
+        }
+        case 'object':
+            return compareValues(JSON.stringify(a), JSON.stringify(b));
+        default:
+            return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+function matches(value, op, expected) {
+    switch (op) {
+        case '==':
+            return value !== undefined && compareValues(value, expected) === 0;
+        case '!=':
+            return value !== undefined && value !== null && compareValues(value, expected) !== 0;
+        case '<':
+            return value !== undefined && typeOf(value) === typeOf(expected) && compareValues(value, expected) < 0;
+        case '<=':
+            return value !== undefined && typeOf(value) === typeOf(expected) && compareValues(value, expected) <= 0;
+        case '>':
+            return value !== undefined && typeOf(value) === typeOf(expected) && compareValues(value, expected) > 0;
+        case '>=':
+            return value !== undefined && typeOf(value) === typeOf(expected) && compareValues(value, expected) >= 0;
+        case 'in':
+            return value !== undefined && expected.some(item => compareValues(value, item) === 0);
+        case 'not-in':
+            return value !== undefined && value !== null && !expected.some(item => compareValues(value, item) === 0);
+        case 'array-contains':
+            return Array.isArray(value) && value.some(item => compareValues(item, expected) === 0);
+        case 'array-contains-any':
+            return Array.isArray(value) && value.some(item => expected.some(other => compareValues(item, other) === 0));
+        default:
+            throw firestoreError(INVALID_ARGUMENT, `Unsupported query operator: ${op}`);
+    }
+}
+
+// Apply a FieldValue sentinel (or plain value) on top of `current`
+function resolveValue(value, current) {
+    if (!(value instanceof FieldValue)) {
+        return isPlainObject(value)
+            ? Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, undefined)]))
+            : clone(value);
+    }
+
+    switch (value.methodName) {
+        case 'FieldValue.increment':
+            return (typeof current === 'number' ? current : 0) + value.operand;
+        case 'FieldValue.arrayUnion': {
+            const array = Array.isArray(current) ? clone(current) : [];
+            for (const element of value.elements) {
+                if (!array.some(item => compareValues(item, element) === 0)) {
+                    array.push(clone(element));
+                }
+            }
+            return array;
+        }
+        case 'FieldValue.arrayRemove':
+            return (Array.isArray(current) ? current : [])
+                .filter(item => !value.elements.some(element => compareValues(item, element) === 0))
+                .map(clone);
+        case 'FieldValue.serverTimestamp':
+            return Timestamp.now();
+        default:
+            throw firestoreError(INVALID_ARGUMENT, `Unsupported FieldValue: ${value.methodName}`);
+    }
+}
+
+function isDelete(value) {
+    return value instanceof FieldValue && value.methodName === 'FieldValue.delete';
+}
+
+// Write `value` at a dotted path, creating maps on the way
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+
+    const last = keys[keys.length - 1];
+    if (isDelete(value)) {
+        delete node[last];
+    } else {
+        node[last] = resolveValue(value, node[last]);
+    }
+}
+
+// set(..., { merge: true }): nested maps are merged, everything else replaced
+function mergeInto(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        if (isDelete(value)) {
+            delete target[key];
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value);
+        } else {
+            target[key] = resolveValue(value, target[key]);
+        }
+    }
+}
+
+export function createMemoryDatabase() {
+    // collection path → Map(doc id → data)
+    const collections = new Map();
+    let transactionQueue = Promise.resolve();
+
+    function store(collectionPath) {
+        if (!collections.has(collectionPath)) {
+            collections.set(collectionPath, new Map());
+        }
+        return collections.get(collectionPath);
+    }
+
+    function snapshot(ref, data) {
+        return {
+            id: ref.id,
+            ref,
+            exists: data !== undefined,
+            data: () => (data === undefined ? undefined : clone(data)),
+            get: (field) => (data === undefined ? undefined : clone(getField(data, ref.id, field)))
+        };
+    }
+
+    // Writes, shared by refs, batches and transactions
+    const writes = {
+        set(ref, data, options = {}) {
+            const documents = store(ref.collectionPath);
+            if (options.merge) {
+                const current = clone(documents.get(ref.id) || {});
+                mergeInto(current, data);
+                documents.set(ref.id, current);
+            } else {
+                const next = {};
+                mergeInto(next, data);
+                documents.set(ref.id, next);
+            }
+        },
+
+        create(ref, data) {
+            if (store(ref.collectionPath).has(ref.id)) {
+                throw firestoreError(ALREADY_EXISTS, `Document already exists: ${ref.path}`);
+            }
+            writes.set(ref, data);
+        },
+
+        update(ref, data) {
+            const documents = store(ref.collectionPath);
+            if (!documents.has(ref.id)) {
+                throw firestoreError(NOT_FOUND, `No document to update: ${ref.path}`);
+            }
+            const current = clone(documents.get(ref.id));
+            for (const [path, value] of Object.entries(data)) {
+                setPath(current, path, value);
+            }
+            documents.set(ref.id, current);
+        },
+
+        delete(ref) {
+            store(ref.collectionPath).delete(ref.id);
+        }
+    };
+
+    function documentRef(collectionPath, id) {
+        // Firestore reads a "/" as a path separator and refuses the id
+        if (!id || id.includes('/')) {
+            throw firestoreError(INVALID_ARGUMENT,
+                `Value for argument "documentPath" must point to a document, but was "${id}". Document ids cannot be empty or contain "/".`);
+        }
+
+        const ref = {
+            id,
+            collectionPath,
+            path: `${collectionPath}/${id}`,
+            get parent() {
+                return collectionRef(collectionPath);
+            },
+            collection: (name) => collectionRef(`${collectionPath}/${id}/${name}`),
+            async get() {
+                return snapshot(ref, store(collectionPath).get(id));
+            },
+            async set(data, options) {
+                writes.set(ref, data, options);
+            },
+            async create(data) {
+                writes.create(ref, data);
+            },
+            async update(data) {
+                writes.update(ref, data);
+            },
+            async delete() {
+                writes.delete(ref);
+            },
+            isEqual: (other) => other?.path === ref.path
+        };
+        return ref;
+    }
+
+    function query(collectionPath, { filters = [], orders = [], limit = null, cursor = null } = {}) {
+        const next = (changes) => query(collectionPath, { filters, orders, limit, cursor, ...changes });
+
+        function run() {
+            let docs = [...store(collectionPath).entries()]
+                .filter(([id, data]) => filters.every(([field, op, value]) => matches(getField(data, id, field), op, value)))
+                // Like Firestore, ordering by a field leaves out docs without it
+                .filter(([id, data]) => orders.every(([field]) => getField(data, id, field) !== undefined));
+
+            // Ties are broken by document id, as in Firestore
+            const sortOrders = [...orders, [DOCUMENT_ID, orders[orders.length - 1]?.[1] || 'asc']];
+            const compareDocs = ([idA, dataA], [idB, dataB]) => {
+                for (const [field, direction] of sortOrders) {
+                    const result = compareValues(getField(dataA, idA, field), getField(dataB, idB, field));
+                    if (result !== 0) {
+                        return direction === 'desc' ? -result : result;
+                    }
+                }
+                return 0;
+            };
+            docs.sort(compareDocs);
+
+            if (cursor) {
+                docs = docs.filter(doc => {
+                    for (const [index, [field, direction]] of sortOrders.entries()) {
+                        if (index >= cursor.length) {
+                            return false;
+                        }
+                        const result = compareValues(getField(doc[1], doc[0], field), cursor[index]);
+                        if (result !== 0) {
+                            return direction === 'desc' ? result < 0 : result > 0;
+                        }
+                    }
+                    return false;
+                });
+            }
+
+            if (limit !== null) {
+                docs = docs.slice(0, limit);
+            }
+
+            const results = docs.map(([id, data]) => snapshot(documentRef(collectionPath, id), data));
+            return {
+                docs: results,
+                empty: results.length === 0,
+                size: results.length,
+                forEach: (callback) => results.forEach(callback)
+            };
+        }
+
+        return {
+            where: (field, op, value) => next({ filters: [...filters, [field, op, value]] }),
+            orderBy: (field, direction = 'asc') => next({ orders: [...orders, [field, direction]] }),
+            limit: (count) => next({ limit: count }),
+            // A document snapshot, or values for the orderBy fields
+            startAfter: (...values) => {
+                const [first] = values;
+                if (first && typeof first.data === 'function' && first.ref) {
+                    const data = first.data() || {};
+                    return next({ cursor: [...orders.map(([field]) => getField(data, first.id, field)), first.id] });
+                }
+                return next({ cursor: values });
+            },
+            async get() {
+                return run();
+            }
+        };
+    }
+
+    function collectionRef(path) {
+        return {
+            id: path.split('/').pop(),
+            path,
+            ...query(path),
+            doc: (id) => documentRef(path, id === undefined ? autoId() : String(id)),
+            async add(data) {
+                const ref = documentRef(path, autoId());
+                writes.set(ref, data);
+                return ref;
+            }
+        };
+    }
+
+    function batch() {
+        const operations = [];
+        const api = {
+            set: (ref, data, options) => (operations.push(() => writes.set(ref, data, options)), api),
+            create: (ref, data) => (operations.push(() => writes.create(ref, data)), api),
+            update: (ref, data) => (operations.push(() => writes.update(ref, data)), api),
+            delete: (ref) => (operations.push(() => writes.delete(ref)), api),
+            async commit() {
+                // All or nothing
+                const backup = new Map([...collections].map(([path, documents]) => [path, new Map(documents)]));
+                try {
+                    operations.forEach(operation => operation());
+                } catch (error) {
+                    collections.clear();
+                    backup.forEach((documents, path) => collections.set(path, documents));
+                    throw error;
+                }
+            }
+        };
+        return api;
+    }
+
+    async function runTransaction(updateFunction) {
+        const run = transactionQueue.then(async () => {
+            const pending = batch();
+            const transaction = {
+                get: (refOrQuery) => refOrQuery.get(),
+                set: (ref, data, options) => (pending.set(ref, data, options), transaction),
+                create: (ref, data) => (pending.create(ref, data), transaction),
+                update: (ref, data) => (pending.update(ref, data), transaction),
+                delete: (ref) => (pending.delete(ref), transaction)
+            };
+
+            const result = await updateFunction(transaction);
+            await pending.commit();
+            return result;
+        });
+
+        // A failed transaction must not block the ones queued behind it
+        transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        backend: 'memory',
+        collection: collectionRef,
+        batch,
+        runTransaction
+    };
+}
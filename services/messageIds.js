@@ -0,0 +1,63 @@
+import { Timestamp } from './time.js';
+
+// WATI refers to one message by up to three ids: its own `id`, the WhatsApp
+// `whatsappMessageId` and a `localMessageId`. The send response and the later
+// webhook events do not always use the same one, so every id we learn is
+// mapped to the whatsapp_messages doc in `whatsapp_message_index/{id}`.
+//
+// Messages are stored under their WATI id, except that "/" (which base64
+// WhatsApp ids may contain, and Firestore doc ids may not) becomes "%2F".
+
+const INDEX_COLLECTION = 'whatsapp_message_index';
+
+// WhatsApp ids are base64 and may contain "/"
+function indexDocId(id) {
+    return encodeURIComponent(String(id));
+}
+
+// The whatsapp_messages doc id of a message id. Ids without "/" are used as
+// they are, so docs stored before this keep their ids, and a doc id passes
+// through unchanged.
+export function messageDocId(id) {
+    return String(id).replaceAll('/', '%2F');
+}
+
+// The ids a webhook event carries, most specific first
+export function messageIdsOf(event) {
+    const candidates = [event?.id, event?.whatsappMessageId, event?.localMessageId];
+    return [...new Set(candidates.filter(id => id !== undefined && id !== null && id !== '').map(String))];
+}
+
+// The doc id of the message known by any of `ids`, or null
+export async function resolveMessageId(db, ids) {
+    const unique = [...new Set(ids.filter(Boolean).map(String))];
+    if (unique.length === 0) {
+        return null;
+    }
+
+    const index = db.collection(INDEX_COLLECTION);
+    const entries = await Promise.all(unique.map(id => index.doc(indexDocId(id)).get()));
+    const indexed = entries.find(doc => doc.exists);
+    if (indexed) {
+        return indexed.data().messageId;
+    }
+
+    // Messages stored before the index existed are keyed by the event id
+    const messages = db.collection('whatsapp_messages');
+    const docs = await Promise.all(unique.map(id => messages.doc(messageDocId(id)).get()));
+    return docs.find(doc => doc.exists)?.id || null;
+}
+
+export async function indexMessageIds(db, messageId, ids) {
+    const unique = [...new Set(ids.filter(Boolean).map(String))];
+    if (unique.length === 0) {
+        return;
+    }
+
+    const index = db.collection(INDEX_COLLECTION);
+    const batch = db.batch();
+    for (const id of unique) {
+        batch.set(index.doc(indexDocId(id)), { messageId: String(messageId), indexedAt: Timestamp.now() });
+    }
+    await batch.commit();
+}
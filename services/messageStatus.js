@@ -0,0 +1,127 @@
+import { Timestamp } from './time.js';
+import { messageDocId } from './messageIds.js';
+
+// Status lifecycle for whatsapp_messages.
+//
+//   pending → sent → delivered → read → replied
+//        \______\_________\
+//                           → failed   (terminal)
+//   any non-terminal status → deleted  (terminal)
+//
+// Statuses only ever move forward. Late or out-of-order WATI events (e.g. a
+// DELIVERED arriving after READ) are rejected instead of downgrading the
+// message, and every accepted transition is appended to `statusHistory`.
+
+const STATUS_RANK = {
+    pending: 0,
+    sent: 1,
+    received: 1,
+    delivered: 2,
+    read: 3,
+    replied: 4
+};
+
+const TERMINAL_STATUSES = ['failed', 'deleted'];
+
+// Field names used for the time and raw payload of each status
+const STATUS_FIELDS = {
+    sent: { at: 'sentAt', raw: 'rawSentData' },
+    delivered: { at: 'deliveredAt', raw: 'rawDeliveryData' },
+    read: { at: 'readAt', raw: 'rawReadData' },
+    replied: { at: 'repliedAt', raw: 'rawReplyData' },
+    failed: { at: 'failedAt', raw: 'rawFailureData' },
+    deleted: { at: 'deletedAt', raw: 'rawDeleteData' }
+};
+
+export function normalizeStatus(status) {
+    const value = String(status || '').toLowerCase();
+    return value in STATUS_RANK || TERMINAL_STATUSES.includes(value) ? value : null;
+}
+
+export function canTransition(from, to) {
+    if (!from) {
+        return true;
+    }
+
+    if (from === to || TERMINAL_STATUSES.includes(from)) {
+        return false;
+    }
+
+    if (to === 'deleted') {
+        return true;
+    }
+
+    if (to === 'failed') {
+        // A message that reached the handset can no longer fail
+        return (STATUS_RANK[from] ?? 0) < STATUS_RANK.delivered;
+    }
+
+    return (STATUS_RANK[to] ?? -1) > (STATUS_RANK[from] ?? -1);
+}
+
+// Apply a status change to a message. A message we have not stored yet is
+// created from `placeholder`; on a stored one the placeholder only fills in
+// fields the doc lacks, so a WATI echo cannot overwrite what the send route
+// stored (type, caption, attachment). `fields` are written along with an
+// accepted transition. A rejected transition writes nothing.
+//
+// Resolves to { accepted, from, to, waId, message }, `message` being the doc
+// as it is after the change.
+export async function applyMessageStatus(db, messageId, nextStatus, {
+    event = {},
+    at = Timestamp.now(),
+    fields = {},
+    placeholder = {}
+} = {}) {
+    const status = normalizeStatus(nextStatus);
+    if (!status) {
+        throw new Error(`Unknown message status: ${nextStatus}`);
+    }
+
+    const messageRef = db.collection('whatsapp_messages').doc(messageDocId(messageId));
+    const { at: atField, raw: rawField } = STATUS_FIELDS[status] || {};
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(messageRef);
+        const current = doc.exists ? doc.data() : null;
+        const from = current ? normalizeStatus(current.status) : null;
+        const waId = current?.waId || fields.waId || placeholder.waId || null;
+
+        const transition = {
+            from,
+            to: status,
+            at,
+            eventType: event.eventType || null
+        };
+
+        if (!current) {
+            const message = {
+                ...placeholder,
+                ...fields,
+                status,
+                ...(atField && { [atField]: at }),
+                ...(rawField && { [rawField]: event }),
+                statusHistory: [transition]
+            };
+            transaction.set(messageRef, message);
+            return { accepted: true, from, to: status, waId, message };
+        }
+
+        if (!canTransition(from, status)) {
+            console.log(`Ignoring out-of-order status for ${messageId}: ${from} → ${status}`);
+            return { accepted: false, from, to: status, waId, message: current };
+        }
+
+        const missing = Object.fromEntries(Object.entries(placeholder).filter(([field]) => current[field] === undefined));
+        const update = {
+            ...missing,
+            ...fields,
+            status,
+            ...(atField && { [atField]: at }),
+            ...(rawField && { [rawField]: event }),
+            statusHistory: [...(current.statusHistory || []), transition]
+        };
+        transaction.update(messageRef, update);
+        return { accepted: true, from, to: status, waId, message: { ...current, ...update } };
+    });
+}
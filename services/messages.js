@@ -0,0 +1,217 @@
+import { Timestamp, toMillis } from './time.js';
+import { FieldPath } from './database.js';
+import { messageDocId } from './messageIds.js';
+
+// Reading whatsapp_messages for the API: response shape and cursor pagination.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const FILTER_FIELDS = ['direction', 'type', 'status'];
+
+// Media types a client can render inline as a preview
+const PREVIEWABLE_TYPES = ['image', 'sticker'];
+
+// API links for a message's attachment
+export function attachmentLinks(attachmentId, type) {
+    const attachmentUrl = `/api/attachments/${encodeURIComponent(attachmentId)}`;
+    return {
+        attachmentUrl,
+        previewUrl: PREVIEWABLE_TYPES.includes(type) ? attachmentUrl : null
+    };
+}
+
+// Shape a whatsapp_messages doc the way the API returns it
+export function formatMessage(id, data) {
+    const timestampMillis = toMillis(data.timestamp);
+
+    // Safely format date
+    let formattedDate;
+    try {
+        formattedDate = new Date(timestampMillis).toISOString();
+    } catch (e) {
+        formattedDate = new Date().toISOString();
+    }
+
+    return {
+        id,
+        text: data.text,
+        type: data.type,
+        direction: data.direction,
+        status: data.status,
+        timestamp: timestampMillis,
+        formattedDate: formattedDate,
+        waId: data.waId,
+        ...(data.attachmentId && {
+            caption: data.caption || '',
+            attachmentId: data.attachmentId,
+            ...attachmentLinks(data.attachmentId, data.type)
+        })
+    };
+}
+
+function parseDate(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const millis = /^\d+$/.test(value) ? toMillis(Number(value)) : Date.parse(value);
+    return isNaN(millis) ? NaN : millis;
+}
+
+// Validate the query string of GET /api/messages/:waNumber.
+// Returns { error } or the parsed options.
+export function parseMessageListQuery(query) {
+    const { before, after, from, to } = query;
+
+    if (before && after) {
+        return { error: "Use either 'before' or 'after', not both" };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) {
+        return { error: "'limit' must be a positive number" };
+    }
+
+    const fromMillis = parseDate(from);
+    const toMillisValue = parseDate(to);
+    if (Number.isNaN(fromMillis) || Number.isNaN(toMillisValue)) {
+        return { error: "'from' and 'to' must be ISO dates or timestamps" };
+    }
+
+    const filters = {};
+    for (const field of FILTER_FIELDS) {
+        if (query[field]) {
+            filters[field] = String(query[field]).toLowerCase();
+        }
+    }
+
+    return {
+        limit: Math.min(limit, MAX_PAGE_SIZE),
+        cursor: before || after || null,
+        // 'before' walks back in time, 'after' forward; no cursor means the newest page
+        order: after ? 'asc' : 'desc',
+        paging: before ? 'before' : after ? 'after' : 'latest',
+        filters,
+        from: fromMillis,
+        to: toMillisValue
+    };
+}
+
+// A cursor is either a message id or a timestamp. Returns { millis, id } or null.
+async function resolveCursor(db, cursor) {
+    if (!cursor) {
+        return null;
+    }
+    if (/^\d+$/.test(cursor)) {
+        return { millis: toMillis(Number(cursor)), id: null };
+    }
+
+    const doc = await db.collection('whatsapp_messages').doc(messageDocId(cursor)).get();
+    if (!doc.exists) {
+        return undefined;
+    }
+    return { millis: toMillis(doc.data().timestamp), id: doc.id };
+}
+
+function compareMessages(a, b) {
+    return a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Is `message` past the cursor in the direction we are paging?
+function isPastCursor(message, cursor, order) {
+    const position = compareMessages(message, { timestamp: cursor.millis, id: cursor.id ?? (order === 'asc' ? '\uffff' : '') });
+    return order === 'asc' ? position > 0 : position < 0;
+}
+
+// Turn up to limit + 1 messages (in query order) into the response envelope
+function buildPage(messages, options) {
+    const hasMore = messages.length > options.limit;
+    const page = messages.slice(0, options.limit);
+
+    // Always return the page oldest first
+    page.sort(compareMessages);
+
+    const oldest = page[0];
+    const newest = page[page.length - 1];
+    const moreBefore = options.paging === 'after' ? Boolean(oldest) : hasMore;
+    const moreAfter = options.paging === 'before' ? Boolean(newest) : options.paging === 'after' && hasMore;
+
+    return {
+        messages: page,
+        prevCursor: moreBefore && oldest ? oldest.id : null,
+        nextCursor: moreAfter && newest ? newest.id : null,
+        hasMore
+    };
+}
+
+// In-memory filtering and paging, used when Firestore cannot run the indexed query
+function pageInMemory(messages, cursor, options) {
+    const filtered = messages.filter(message => {
+        for (const [field, value] of Object.entries(options.filters)) {
+            if (String(message[field] ?? '').toLowerCase() !== value) {
+                return false;
+            }
+        }
+        if (options.from !== null && message.timestamp < options.from) {
+            return false;
+        }
+        if (options.to !== null && message.timestamp > options.to) {
+            return false;
+        }
+        return !cursor || isPastCursor(message, cursor, options.order);
+    });
+
+    filtered.sort(compareMessages);
+    if (options.order === 'desc') {
+        filtered.reverse();
+    }
+
+    return buildPage(filtered.slice(0, options.limit + 1), options);
+}
+
+// Fetch one page of a conversation. Resolves to null if the cursor message does not exist.
+export async function listMessages(db, waId, options) {
+    const cursor = await resolveCursor(db, options.cursor);
+    if (cursor === undefined) {
+        return null;
+    }
+
+    const messages = db.collection('whatsapp_messages');
+
+    try {
+        let query = messages.where('waId', '==', waId);
+
+        for (const [field, value] of Object.entries(options.filters)) {
+            query = query.where(field, '==', value);
+        }
+        if (options.from !== null) {
+            query = query.where('timestamp', '>=', Timestamp.fromMillis(options.from));
+        }
+        if (options.to !== null) {
+            query = query.where('timestamp', '<=', Timestamp.fromMillis(options.to));
+        }
+
+        query = query
+            .orderBy('timestamp', options.order)
+            .orderBy(FieldPath.documentId(), options.order);
+
+        if (cursor) {
+            const cursorTimestamp = Timestamp.fromMillis(cursor.millis);
+            query = cursor.id
+                ? query.startAfter(cursorTimestamp, cursor.id)
+                : query.startAfter(cursorTimestamp);
+        }
+
+        const snapshot = await query.limit(options.limit + 1).get();
+        return buildPage(snapshot.docs.map(doc => formatMessage(doc.id, doc.data())), options);
+    } catch (queryError) {
+        if (queryError.code !== 9) { // FAILED_PRECONDITION
+            throw queryError;
+        }
+
+        console.warn('Using fallback query (index may be building)');
+
+        const snapshot = await messages.where('waId', '==', waId).get();
+        return pageInMemory(snapshot.docs.map(doc => formatMessage(doc.id, doc.data())), cursor, options);
+    }
+}
@@ -0,0 +1,57 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Phone numbers arrive as "+27 77 253 8155", "0772538155" or "27772538155".
+// They are stored and sent to WATI in one form: the E.164 digits without the
+// "+" (the same form as WATI's waId), so one person is one contact.
+//
+// Numbers without a "+" or "00" prefix are read as national numbers of
+// DEFAULT_COUNTRY (ISO 3166 code, e.g. ZA) first, then as international.
+
+export const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'ZA').toUpperCase();
+
+// Resolves to { e164, waId, country } or { error }
+export function normalizePhone(input, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+    if (input === undefined || input === null || String(input).trim() === '') {
+        return { error: 'Phone number is required' };
+    }
+
+    const raw = String(input).trim();
+    if (!/^[+\d\s().-]+$/.test(raw)) {
+        return { error: `Invalid phone number '${raw}': only digits, spaces, +, -, ( and ) are allowed` };
+    }
+
+    const digits = raw.replace(/\D/g, '');
+    const candidates = raw.startsWith('+') ? [`+${digits}`]
+        : digits.startsWith('00') ? [`+${digits.slice(2)}`]
+        : [[digits, defaultCountry], `+${digits}`];
+
+    for (const candidate of candidates) {
+        const [number, country] = Array.isArray(candidate) ? candidate : [candidate];
+        const parsed = parsePhoneNumberFromString(number, country);
+        if (parsed?.isValid()) {
+            return {
+                e164: parsed.number,
+                waId: parsed.number.slice(1),
+                country: parsed.country || null
+            };
+        }
+    }
+
+    return { error: `Invalid phone number '${raw}': not a valid number for ${defaultCountry} or in international format` };
+}
+
+// For numbers we did not type ourselves (webhook waIds, stored data): the
+// canonical waId when the number is valid, otherwise its digits unchanged.
+// These are normally international already (WATI sends "27772538155"), so
+// the digits are read as international first and only then as a national
+// number of DEFAULT_COUNTRY.
+export function normalizeWaId(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    const international = normalizePhone(`+${digits}`);
+    if (!international.error) {
+        return international.waId;
+    }
+
+    const normalized = normalizePhone(value);
+    return normalized.error ? digits || String(value ?? '') : normalized.waId;
+}
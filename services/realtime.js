@@ -0,0 +1,202 @@
+import crypto from 'node:crypto';
+import { WebSocketServer } from 'ws';
+
+// Realtime push for agent dashboards.
+//
+// Clients connect to ws://<host>/realtime?token=<token>[&waId=<waId>][&since=<seq>&epoch=<epoch>]
+// and then receive every message / status change for the conversations they
+// subscribed to. Each published event gets an increasing `seq`, which starts
+// over when the server restarts; `epoch` names the run it belongs to. A
+// client that reconnects with the `since` and `epoch` of the last event it
+// saw gets everything it missed replayed from an in-memory buffer, or a
+// `resync_required` notice if the server restarted since or the buffer no
+// longer reaches back that far (the client should then refetch over the REST
+// API). Events published for a tenant only reach clients of that tenant.
+//
+// Client → server:
+//   { "action": "subscribe", "waId": "2777..." }   or   { "action": "subscribe", "all": true }
+//   { "action": "unsubscribe", "waId": "2777..." }  or   { "action": "unsubscribe", "all": true }
+//   { "action": "resume", "since": 42, "epoch": "5f0c..." }
+//
+// Server → client:
+//   { "seq": 43, "epoch": "5f0c...", "type": "message.created", "waId": "2777...", "tenantId": "clinic-a", "data": {...}, "at": 1700000000000 }
+
+const DEFAULT_PATH = '/realtime';
+const DEFAULT_BUFFER_SIZE = 1000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+export function createRealtimeHub({
+    httpServer,
+    path = DEFAULT_PATH,
+    authenticate,
+    bufferSize = parseInt(process.env.REALTIME_BUFFER_SIZE) || DEFAULT_BUFFER_SIZE
+}) {
+    const wss = new WebSocketServer({ noServer: true });
+    const buffer = [];
+    const epoch = crypto.randomUUID();
+    let seq = 0;
+
+    httpServer.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== path) {
+            return;
+        }
+
+        try {
+            const client = await authenticate(req, url);
+            if (!client) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                return socket.destroy();
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                wss.emit('connection', ws, req, url, client);
+            });
+        } catch (error) {
+            console.error('Realtime auth error:', error);
+            socket.write('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+        }
+    });
+
+    function send(ws, payload) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(payload));
+        }
+    }
+
+    function isSubscribed(ws, waId) {
+        return ws.subscriptions.all || ws.subscriptions.waIds.has(String(waId));
+    }
+
+    function shouldReceive(ws, event) {
+        return (!event.tenantId || ws.client.tenantId === event.tenantId) && isSubscribed(ws, event.waId);
+    }
+
+    // Replay buffered events after `since` that match the client's subscriptions.
+    // A cursor from another epoch, or ahead of this one, is from before a restart.
+    function resume(ws, since, clientEpoch) {
+        const cursor = Number(since);
+        if (!Number.isFinite(cursor)) {
+            return;
+        }
+
+        if ((clientEpoch && clientEpoch !== epoch) || cursor > seq) {
+            send(ws, { type: 'resync_required', reason: 'restarted', seq, epoch, oldestAvailable: buffer[0]?.seq ?? null });
+            return;
+        }
+        if (cursor === seq) {
+            return;
+        }
+
+        if (buffer.length === 0 || buffer[0].seq > cursor + 1) {
+            send(ws, { type: 'resync_required', reason: 'expired', seq, epoch, oldestAvailable: buffer[0]?.seq ?? null });
+            return;
+        }
+
+        for (const event of buffer) {
+            if (event.seq > cursor && shouldReceive(ws, event)) {
+                send(ws, event);
+            }
+        }
+    }
+
+    function handleClientMessage(ws, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            return send(ws, { type: 'error', error: 'Invalid JSON' });
+        }
+
+        switch (message.action) {
+            case 'subscribe':
+                if (message.all) {
+                    ws.subscriptions.all = true;
+                } else if (message.waId) {
+                    ws.subscriptions.waIds.add(String(message.waId));
+                }
+                return send(ws, { type: 'subscribed', all: ws.subscriptions.all, waIds: [...ws.subscriptions.waIds], seq, epoch });
+            case 'unsubscribe':
+                if (message.all) {
+                    ws.subscriptions.all = false;
+                } else if (message.waId) {
+                    ws.subscriptions.waIds.delete(String(message.waId));
+                }
+                return send(ws, { type: 'unsubscribed', all: ws.subscriptions.all, waIds: [...ws.subscriptions.waIds], seq, epoch });
+            case 'resume':
+                return resume(ws, message.since, message.epoch);
+            default:
+                return send(ws, { type: 'error', error: `Unknown action: ${message.action}` });
+        }
+    }
+
+    wss.on('connection', (ws, req, url, client) => {
+        const waId = url.searchParams.get('waId');
+
+        ws.client = client;
+        ws.isAlive = true;
+        ws.subscriptions = {
+            all: !waId || url.searchParams.get('all') === 'true',
+            waIds: new Set(waId ? [waId] : [])
+        };
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', (raw) => handleClientMessage(ws, raw.toString()));
+
+        send(ws, { type: 'connected', seq, epoch, all: ws.subscriptions.all, waIds: [...ws.subscriptions.waIds] });
+
+        if (url.searchParams.has('since')) {
+            resume(ws, url.searchParams.get('since'), url.searchParams.get('epoch'));
+        }
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    return {
+        // Push an event to every client subscribed to `waId` (of `tenantId`, if given)
+        publish(type, waId, data, { tenantId = null } = {}) {
+            const event = {
+                seq: ++seq,
+                epoch,
+                type,
+                waId: waId ? String(waId) : null,
+                tenantId,
+                data,
+                at: Date.now()
+            };
+
+            buffer.push(event);
+            if (buffer.length > bufferSize) {
+                buffer.shift();
+            }
+
+            for (const ws of wss.clients) {
+                if (shouldReceive(ws, event)) {
+                    send(ws, event);
+                }
+            }
+            return event.seq;
+        },
+
+        close() {
+            clearInterval(heartbeat);
+            for (const ws of wss.clients) {
+                ws.close(1001, 'Server shutting down');
+            }
+            wss.close();
+        }
+    };
+}
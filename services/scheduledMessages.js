@@ -0,0 +1,585 @@
+import { Timestamp } from './time.js';
+import { normalizeParameters } from './templates.js';
+
+// Messages sent at a later time, e.g. appointment reminders.
+//
+// A job in `scheduled_messages` holds the phone, the message
+//   { type: 'template', templateName, parameters } | { type: 'text', text }
+// and a schedule:
+//   { type: 'once', sendAt, timezone }
+//   { type: 'relative', eventAt, before: '24h' | after: '30m', timezone }
+//   { type: 'recurring', startAt, every: 'day' | 'week' | 'month', interval?, count?, until?, timezone }
+//
+// Times are epoch milliseconds, ISO strings with an offset, or local ISO
+// strings ("2026-03-01T09:00") read in `timezone` (DEFAULT_TIMEZONE, else UTC).
+// Recurring jobs keep their local time of day across DST changes. An
+// occurrence picked up more than SCHEDULER_GRACE_MS (15 minutes) after its
+// time, e.g. because the server was down, is recorded as missed instead of
+// being sent late.
+//
+// A worker claims due jobs with a lease, sends them through `send(job)` and
+// records the outcome on the job. A send that crashes before its outcome is
+// recorded is retried once the lease expires.
+
+const COLLECTION = 'scheduled_messages';
+export const SCHEDULED_MESSAGE_STATUSES = ['scheduled', 'sent', 'failed', 'missed', 'completed', 'cancelled'];
+const SCHEDULE_TYPES = ['once', 'relative', 'recurring'];
+const RECURRENCE_UNITS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+const MAX_OUTCOMES = 20;
+// A due time this far in the past still counts as "now" (clock skew, slow clients)
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+// The largest time a Date can hold
+const MAX_TIME_MS = 8.64e15;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Building a DateTimeFormat is slow, so there is one per timezone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Wall-clock parts of `millis` in `timeZone`
+function zonedParts(millis, timeZone) {
+    const parts = Object.fromEntries(formatterFor(timeZone)
+        .formatToParts(new Date(millis))
+        .map(part => [part.type, Number(part.value)]));
+
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+function zoneOffsetMs(millis, timeZone) {
+    const p = zonedParts(millis, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(millis / 1000) * 1000;
+}
+
+// Epoch millis of a wall-clock time in `timeZone`
+export function zonedTimeToMillis({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const first = asUtc - zoneOffsetMs(asUtc, timeZone);
+    // Again from the first guess, in case it crossed a DST change
+    return asUtc - zoneOffsetMs(first, timeZone);
+}
+
+// Epoch millis, or null if `value` is not a time
+export function parseTime(value, timeZone) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && Math.abs(value) <= MAX_TIME_MS ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+
+    const local = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (local) {
+        const [year, month, day, hour = 0, minute = 0, second = 0] = local.slice(1).map(part => part === undefined ? undefined : Number(part));
+        return zonedTimeToMillis({ year, month, day, hour, minute, second }, timeZone);
+    }
+
+    const millis = Date.parse(value);
+    return isNaN(millis) ? null : millis;
+}
+
+// "24h", "30m", "2d", "1w" → millis
+export function parseDuration(value) {
+    const match = String(value ?? '').trim().match(/^(\d+)\s*([mhdw])$/);
+    return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+// Occurrence `n` (0-based) of a recurring schedule
+function occurrence(schedule, n) {
+    const start = zonedParts(schedule.startAt, schedule.timezone);
+    const steps = n * (schedule.interval || 1);
+
+    if (schedule.every === 'month') {
+        const months = start.month - 1 + steps;
+        const year = start.year + Math.floor(months / 12);
+        const month = (months % 12) + 1;
+        // Jan 31 + 1 month is the last day of February
+        const day = Math.min(start.day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+        return zonedTimeToMillis({ ...start, year, month, day }, schedule.timezone);
+    }
+
+    const days = steps * (schedule.every === 'week' ? 7 : 1);
+    return zonedTimeToMillis({ ...start, day: start.day + days }, schedule.timezone);
+}
+
+// An occurrence number that is certainly not after the first one due at
+// `since`, so nextOccurrence() does not walk through every past occurrence of
+// a schedule that started long ago. One interval is given back to allow for
+// DST changes and month-end clamping.
+function firstCandidate(schedule, fromOccurrence, since) {
+    if (since <= schedule.startAt) {
+        return fromOccurrence;
+    }
+
+    let steps;
+    if (schedule.every === 'month') {
+        const start = zonedParts(schedule.startAt, schedule.timezone);
+        const current = zonedParts(since, schedule.timezone);
+        steps = (current.year - start.year) * 12 + current.month - start.month;
+    } else {
+        steps = Math.floor((since - schedule.startAt) / (DAY_MS * (schedule.every === 'week' ? 7 : 1)));
+    }
+    return Math.max(fromOccurrence, Math.floor(steps / (schedule.interval || 1)) - 1);
+}
+
+// The next occurrence at or after `fromOccurrence` that is not in the past:
+// { occurrence, at } or null when the schedule has run out
+function nextOccurrence(schedule, fromOccurrence, now) {
+    for (let n = firstCandidate(schedule, fromOccurrence, now - PAST_TOLERANCE_MS); ; n++) {
+        if (schedule.count && n >= schedule.count) {
+            return null;
+        }
+        const at = occurrence(schedule, n);
+        if (schedule.until && at > schedule.until) {
+            return null;
+        }
+        if (at >= now - PAST_TOLERANCE_MS) {
+            return { occurrence: n, at };
+        }
+    }
+}
+
+// Validate a schedule. Returns { error } or { schedule, nextRunAt, occurrence }.
+export function validateSchedule(input, now = Date.now()) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'A schedule (or sendAt) is required' };
+    }
+
+    const type = input.type || 'once';
+    if (!SCHEDULE_TYPES.includes(type)) {
+        return { error: `schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+    }
+
+    const timezone = input.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+        return { error: `Unknown timezone: ${timezone}` };
+    }
+
+    if (type === 'once') {
+        const sendAt = parseTime(input.sendAt, timezone);
+        if (sendAt === null) {
+            return { error: 'sendAt must be a time' };
+        }
+        if (sendAt < now - PAST_TOLERANCE_MS) {
+            return { error: 'sendAt is in the past' };
+        }
+        return { schedule: { type, timezone, sendAt }, nextRunAt: sendAt, occurrence: 0 };
+    }
+
+    if (type === 'relative') {
+        const eventAt = parseTime(input.eventAt, timezone);
+        if (eventAt === null) {
+            return { error: 'schedule.eventAt must be a time' };
+        }
+        if ((input.before === undefined) === (input.after === undefined)) {
+            return { error: "A relative schedule needs either 'before' or 'after', e.g. before: '24h'" };
+        }
+
+        const offset = parseDuration(input.before ?? input.after);
+        if (offset === null) {
+            return { error: "'before' / 'after' must be a duration such as '30m', '24h', '2d' or '1w'" };
+        }
+
+        const sendAt = input.before !== undefined ? eventAt - offset : eventAt + offset;
+        if (sendAt < now - PAST_TOLERANCE_MS) {
+            return { error: 'The computed send time is in the past' };
+        }
+        return {
+            schedule: {
+                type,
+                timezone,
+                eventAt,
+                ...(input.before !== undefined ? { before: String(input.before) } : { after: String(input.after) })
+            },
+            nextRunAt: sendAt,
+            occurrence: 0
+        };
+    }
+
+    const startAt = parseTime(input.startAt ?? input.sendAt, timezone);
+    if (startAt === null) {
+        return { error: 'schedule.startAt must be a time' };
+    }
+    if (!RECURRENCE_UNITS.includes(input.every)) {
+        return { error: `schedule.every must be one of: ${RECURRENCE_UNITS.join(', ')}` };
+    }
+
+    const interval = input.interval === undefined ? 1 : Number(input.interval);
+    const count = input.count === undefined || input.count === null ? null : Number(input.count);
+    const until = input.until === undefined || input.until === null ? null : parseTime(input.until, timezone);
+    if (!Number.isInteger(interval) || interval < 1) {
+        return { error: 'schedule.interval must be a positive whole number' };
+    }
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+        return { error: 'schedule.count must be a positive whole number' };
+    }
+    if (input.until !== undefined && input.until !== null && until === null) {
+        return { error: 'schedule.until must be a time' };
+    }
+
+    const schedule = { type, timezone, startAt, every: input.every, interval, count, until };
+    const next = nextOccurrence(schedule, 0, now);
+    if (!next) {
+        return { error: 'The schedule has no occurrences in the future' };
+    }
+    return { schedule, nextRunAt: next.at, occurrence: next.occurrence };
+}
+
+// Validate the message part of a job. Returns { error } or { message }.
+export function validateMessage({ templateName, parameters, text }) {
+    if (templateName && text) {
+        return { error: "Send either 'templateName' or 'text', not both" };
+    }
+    if (text) {
+        return { message: { type: 'text', text: String(text) } };
+    }
+    if (!templateName) {
+        return { error: "'templateName' or 'text' is required" };
+    }
+
+    const normalized = normalizeParameters(parameters);
+    if (!normalized) {
+        return { error: 'parameters must be an object or an array of { name, value }' };
+    }
+    return { message: { type: 'template', templateName: String(templateName), parameters: normalized } };
+}
+
+function toMillisOrNull(value) {
+    return value?.toMillis ? value.toMillis() : null;
+}
+
+export function formatScheduledMessage(id, data) {
+    return {
+        id,
+        phone: data.phone,
+        message: data.message,
+        channelNumber: data.channelNumber || null,
+        schedule: data.schedule,
+        status: data.status,
+        nextRunAt: toMillisOrNull(data.nextRunAt),
+        runs: data.runs || 0,
+        lastRun: data.lastRun ? { ...data.lastRun, at: toMillisOrNull(data.lastRun.at) } : null,
+        outcomes: (data.outcomes || []).map(outcome => ({ ...outcome, at: toMillisOrNull(outcome.at) })),
+        createdBy: data.createdBy || null,
+        createdAt: toMillisOrNull(data.createdAt),
+        updatedAt: toMillisOrNull(data.updatedAt),
+        cancelledAt: toMillisOrNull(data.cancelledAt)
+    };
+}
+
+export function createScheduledMessageService({
+    db,
+    // (job) => Promise<{ messageId }>, throws when the send fails
+    send,
+    // (message) => Promise<{ error, ... } | null>, run whenever a job is saved,
+    // e.g. whether its template can be rendered with its parameters
+    checkMessage = async () => null,
+    pollIntervalMs = parseInt(process.env.SCHEDULER_POLL_MS) || 10 * 1000,
+    // How late an occurrence may still be sent
+    graceMs = parseInt(process.env.SCHEDULER_GRACE_MS) || 15 * 60 * 1000,
+    leaseMs = 2 * 60 * 1000,
+    batchSize = 20
+}) {
+    const jobs = db.collection(COLLECTION);
+
+    let timer = null;
+    let running = false;
+
+    // body: { phone, templateName | text, parameters?, channelNumber?, schedule | sendAt + timezone }
+    // Returns { error } or the validated job fields
+    function validateJob(body, now = Date.now()) {
+        if (!body.phone) {
+            return { error: 'Phone number is required' };
+        }
+
+        const message = validateMessage(body);
+        if (message.error) {
+            return message;
+        }
+
+        const schedule = validateSchedule(body.schedule || { type: 'once', sendAt: body.sendAt, timezone: body.timezone }, now);
+        if (schedule.error) {
+            return schedule;
+        }
+
+        return {
+            phone: String(body.phone),
+            message: message.message,
+            channelNumber: body.channelNumber || null,
+            schedule: schedule.schedule,
+            occurrence: schedule.occurrence,
+            nextRunAt: Timestamp.fromMillis(schedule.nextRunAt)
+        };
+    }
+
+    async function create(body, { createdBy = null } = {}) {
+        const job = validateJob(body);
+        if (job.error) {
+            return job;
+        }
+        const rejected = await checkMessage(job.message);
+        if (rejected?.error) {
+            return rejected;
+        }
+
+        const jobRef = jobs.doc();
+        const data = {
+            ...job,
+            status: 'scheduled',
+            runs: 0,
+            lastRun: null,
+            outcomes: [],
+            createdBy,
+            createdAt: Timestamp.now(),
+            updatedAt: Timestamp.now(),
+            lockedUntil: Timestamp.fromMillis(0)
+        };
+        await jobRef.set(data);
+        return formatScheduledMessage(jobRef.id, data);
+    }
+
+    async function get(id) {
+        const doc = await jobs.doc(id).get();
+        return doc.exists ? formatScheduledMessage(doc.id, doc.data()) : null;
+    }
+
+    async function list({ status, phone, limit = 100 } = {}) {
+        let query = jobs;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        if (phone) {
+            query = query.where('phone', '==', String(phone));
+        }
+        const snapshot = await query.orderBy('nextRunAt', 'asc').limit(limit).get();
+        return snapshot.docs.map(doc => formatScheduledMessage(doc.id, doc.data()));
+    }
+
+    // Only jobs that have not fired (or, if recurring, are not firing right now) can change
+    function editableError(data) {
+        if (data.status !== 'scheduled') {
+            return `The scheduled message is ${data.status}`;
+        }
+        if (data.lockedUntil?.toMillis() > Date.now()) {
+            return 'The scheduled message is being sent right now';
+        }
+        return null;
+    }
+
+    // Replace some of phone, message (templateName | text, parameters),
+    // channelNumber and schedule (or sendAt + timezone).
+    // Resolves to null if unknown, { error, conflict? } or the updated job.
+    async function update(id, body) {
+        const jobRef = jobs.doc(id);
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const current = doc.data();
+            const notEditable = editableError(current);
+            if (notEditable) {
+                return { error: notEditable, conflict: true };
+            }
+
+            const messageChanged = body.templateName !== undefined || body.text !== undefined;
+            const merged = {
+                phone: body.phone ?? current.phone,
+                ...(messageChanged ? {
+                    templateName: body.templateName,
+                    text: body.text,
+                    parameters: body.parameters
+                } : {
+                    templateName: current.message.templateName,
+                    text: current.message.text,
+                    parameters: body.parameters ?? current.message.parameters
+                }),
+                channelNumber: body.channelNumber ?? current.channelNumber,
+                schedule: body.schedule ||
+                    (body.sendAt !== undefined ? { type: 'once', sendAt: body.sendAt, timezone: body.timezone } : current.schedule)
+            };
+
+            const job = validateJob(merged);
+            if (job.error) {
+                return job;
+            }
+            // Also when only the parameters change: the stored template may need others
+            const rejected = await checkMessage(job.message);
+            if (rejected?.error) {
+                return rejected;
+            }
+
+            const data = { ...current, ...job, updatedAt: Timestamp.now() };
+            transaction.set(jobRef, data);
+            return formatScheduledMessage(id, data);
+        });
+    }
+
+    // Resolves to null if unknown, { error, conflict } or the cancelled job
+    async function cancel(id) {
+        const jobRef = jobs.doc(id);
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const current = doc.data();
+            const notEditable = editableError(current);
+            if (notEditable) {
+                return { error: notEditable, conflict: true };
+            }
+
+            const data = { ...current, status: 'cancelled', cancelledAt: Timestamp.now(), updatedAt: Timestamp.now() };
+            transaction.set(jobRef, data);
+            return formatScheduledMessage(id, data);
+        });
+    }
+
+    // Take a due job for `leaseMs`. Returns its data, or null if it is not ours to send.
+    async function claim(jobRef) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            const data = doc.data();
+
+            if (!data || data.status !== 'scheduled' ||
+                data.nextRunAt.toMillis() > Date.now() ||
+                data.lockedUntil?.toMillis() > Date.now()) {
+                return null;
+            }
+
+            transaction.update(jobRef, { lockedUntil: Timestamp.fromMillis(Date.now() + leaseMs) });
+            return data;
+        });
+    }
+
+    // Send a claimed occurrence, unless it is too late for it. Resolves to the outcome.
+    async function deliver(jobRef, job) {
+        const lateMs = Date.now() - job.nextRunAt.toMillis();
+        if (lateMs > graceMs) {
+            console.warn(`⏰ Scheduled message ${jobRef.id} to ${job.phone} is ${Math.round(lateMs / 60000)} minutes late, skipping it`);
+            return { status: 'missed', error: `Not sent: picked up ${Math.round(lateMs / 60000)} minutes after its time` };
+        }
+
+        try {
+            const { messageId } = await send({ id: jobRef.id, ...job });
+            console.log(`⏰ Scheduled message ${jobRef.id} sent to ${job.phone}`);
+            return { status: 'sent', messageId: messageId || null };
+        } catch (error) {
+            const reason = error.response?.data?.message || error.message;
+            console.error(`Scheduled message ${jobRef.id} to ${job.phone} failed:`, reason);
+            return { status: 'failed', error: reason };
+        }
+    }
+
+    async function runJob(jobRef) {
+        const job = await claim(jobRef);
+        if (!job) {
+            return;
+        }
+
+        const outcome = { at: Timestamp.now(), occurrence: job.occurrence || 0, ...await deliver(jobRef, job) };
+
+        const update = {
+            runs: (job.runs || 0) + 1,
+            lastRun: outcome,
+            outcomes: [...(job.outcomes || []), outcome].slice(-MAX_OUTCOMES),
+            lockedUntil: Timestamp.fromMillis(0),
+            updatedAt: Timestamp.now()
+        };
+
+        const next = job.schedule.type === 'recurring'
+            ? nextOccurrence(job.schedule, (job.occurrence || 0) + 1, Date.now())
+            : null;
+        if (next) {
+            Object.assign(update, { occurrence: next.occurrence, nextRunAt: Timestamp.fromMillis(next.at) });
+        } else {
+            update.status = job.schedule.type === 'recurring' ? 'completed' : outcome.status;
+        }
+
+        await jobRef.update(update);
+    }
+
+    async function poll() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const snapshot = await jobs
+                .where('status', '==', 'scheduled')
+                .where('nextRunAt', '<=', Timestamp.now())
+                .orderBy('nextRunAt', 'asc')
+                .limit(batchSize)
+                .get();
+
+            for (const doc of snapshot.docs) {
+                await runJob(doc.ref);
+            }
+        } catch (error) {
+            console.error('Scheduler poll failed:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    function schedule() {
+        timer = setTimeout(async () => {
+            await poll();
+            if (timer) {
+                schedule();
+            }
+        }, pollIntervalMs);
+    }
+
+    return {
+        create,
+        get,
+        list,
+        update,
+        cancel,
+
+        start() {
+            if (!timer) {
+                console.log('⏰ Scheduler started');
+                schedule();
+            }
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
@@ -0,0 +1,280 @@
+import axios from 'axios';
+import crypto from 'node:crypto';
+import { Timestamp } from './time.js';
+import { FieldValue } from './database.js';
+
+// Fan-out of processed WATI events to our own services.
+//
+// Subscribers register a target URL, the event types they want ('*' for all)
+// and a signing secret. After an event is processed, a normalized payload is
+// POSTed to every matching subscriber with an `X-Webhook-Signature` header:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Deliveries are retried with exponential backoff and logged to
+// `subscription_deliveries`. A subscription whose deliveries keep failing is
+// disabled automatically.
+
+const SUBSCRIPTIONS_COLLECTION = 'webhook_subscriptions';
+const DELIVERIES_COLLECTION = 'subscription_deliveries';
+
+// Normalized event types, keyed by WATI eventType
+const EVENT_TYPES = {
+    message: 'message.received',
+    templateMessageSent: 'message.sent',
+    templateMessageSent_v2: 'message.sent',
+    sessionMessageSent: 'message.sent',
+    sessionMessageSent_v2: 'message.sent',
+    sentMessageDELIVERED: 'message.delivered',
+    sentMessageDELIVERED_v2: 'message.delivered',
+    sentMessageREAD: 'message.read',
+    sentMessageREAD_v2: 'message.read',
+    sentMessageREPLIED: 'message.replied',
+    sentMessageREPLIED_v2: 'message.replied',
+    templateMessageFailed: 'message.failed',
+    templateMessageFailed_v2: 'message.failed',
+    sentMessageFAILED: 'message.failed',
+    sentMessageFAILED_v2: 'message.failed',
+    sentMessageDELETED: 'message.deleted',
+    sentMessageDELETED_v2: 'message.deleted'
+};
+
+export const SUBSCRIBABLE_EVENT_TYPES = [...new Set(Object.values(EVENT_TYPES))];
+
+export function normalizeEvent(eventKey, event, result) {
+    const type = EVENT_TYPES[event.eventType];
+    if (!type) {
+        return null;
+    }
+
+    return {
+        id: eventKey,
+        type,
+        occurredAt: new Date().toISOString(),
+        data: {
+            messageId: event.id || null,
+            whatsappMessageId: event.whatsappMessageId || null,
+            waId: event.waId || null,
+            text: event.text ?? null,
+            messageType: event.type || null,
+            templateName: event.templateName || null,
+            senderName: event.senderName || null,
+            status: result?.transition?.to || null,
+            failureReason: type === 'message.failed' ? (event.failedDetail || event.failedCode || null) : null,
+            sourceEventType: event.eventType
+        }
+    };
+}
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Returns an error message, or null if the subscription input is valid
+export function validateSubscription(input) {
+    try {
+        const url = new URL(input?.url);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'url must be http(s)';
+        }
+    } catch (e) {
+        return 'url must be a valid URL';
+    }
+
+    if (!Array.isArray(input.eventTypes) || input.eventTypes.length === 0) {
+        return 'eventTypes must be a non-empty array';
+    }
+    const unknown = input.eventTypes.filter(type => type !== '*' && !SUBSCRIBABLE_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        return `Unknown eventTypes: ${unknown.join(', ')} (expected ${SUBSCRIBABLE_EVENT_TYPES.join(', ')} or '*')`;
+    }
+    if (input.secret !== undefined && String(input.secret).length < 16) {
+        return 'secret must be at least 16 characters';
+    }
+    return null;
+}
+
+function formatSubscription(doc, { includeSecret = false } = {}) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        url: data.url,
+        eventTypes: data.eventTypes,
+        description: data.description || null,
+        enabled: data.enabled,
+        disabledReason: data.disabledReason || null,
+        consecutiveFailures: data.consecutiveFailures || 0,
+        lastDeliveryAt: data.lastDeliveryAt?.toMillis?.() || null,
+        createdAt: data.createdAt?.toMillis?.() || null,
+        ...(includeSecret && { secret: data.secret })
+    };
+}
+
+export function createSubscriptionService({
+    db,
+    maxAttempts = parseInt(process.env.SUBSCRIPTION_MAX_ATTEMPTS) || 5,
+    baseDelayMs = parseInt(process.env.SUBSCRIPTION_RETRY_BASE_MS) || 2000,
+    disableAfterFailures = parseInt(process.env.SUBSCRIPTION_DISABLE_AFTER) || 10,
+    timeoutMs = 10000
+}) {
+    const subscriptions = db.collection(SUBSCRIPTIONS_COLLECTION);
+    const deliveries = db.collection(DELIVERIES_COLLECTION);
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    async function recordOutcome(subscriptionRef, ok, error) {
+        if (ok) {
+            await subscriptionRef.update({ consecutiveFailures: 0, lastDeliveryAt: Timestamp.now() });
+            return;
+        }
+
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(subscriptionRef);
+            if (!doc.exists) {
+                return;
+            }
+
+            const failures = (doc.data().consecutiveFailures || 0) + 1;
+            const update = { consecutiveFailures: failures, lastFailureAt: Timestamp.now(), lastError: error };
+            if (failures >= disableAfterFailures) {
+                update.enabled = false;
+                update.disabledReason = `Disabled after ${failures} consecutive failed deliveries`;
+                update.disabledAt = Timestamp.now();
+                console.warn(`🔕 Subscription ${doc.id} disabled after ${failures} failed deliveries`);
+            }
+            transaction.update(subscriptionRef, update);
+        });
+    }
+
+    // Deliver one payload to one subscriber, retrying with backoff
+    async function deliver(subscriptionDoc, payload) {
+        const subscription = subscriptionDoc.data();
+        const body = JSON.stringify(payload);
+        const deliveryRef = deliveries.doc();
+
+        await deliveryRef.set({
+            subscriptionId: subscriptionDoc.id,
+            eventId: payload.id,
+            eventType: payload.type,
+            url: subscription.url,
+            status: 'pending',
+            attempts: 0,
+            createdAt: Timestamp.now()
+        });
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const response = await axios.post(subscription.url, body, {
+                    timeout: timeoutMs,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Id': payload.id,
+                        'X-Webhook-Event': payload.type,
+                        'X-Webhook-Signature': signPayload(subscription.secret, body)
+                    }
+                });
+
+                await deliveryRef.update({
+                    status: 'delivered',
+                    attempts: attempt,
+                    responseStatus: response.status,
+                    deliveredAt: Timestamp.now()
+                });
+                await recordOutcome(subscriptionDoc.ref, true);
+                return true;
+            } catch (error) {
+                lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+                await deliveryRef.update({
+                    attempts: attempt,
+                    lastError,
+                    responseStatus: error.response?.status || null,
+                    attemptLog: FieldValue.arrayUnion({ attempt, error: lastError, at: Timestamp.now() })
+                });
+
+                if (attempt < maxAttempts) {
+                    await sleep(baseDelayMs * 2 ** (attempt - 1));
+                }
+            }
+        }
+
+        await deliveryRef.update({ status: 'failed', failedAt: Timestamp.now() });
+        await recordOutcome(subscriptionDoc.ref, false, lastError);
+        return false;
+    }
+
+    return {
+        async create(input) {
+            const error = validateSubscription(input);
+            if (error) {
+                return { error };
+            }
+
+            const ref = subscriptions.doc();
+            await ref.set({
+                url: input.url,
+                eventTypes: input.eventTypes,
+                description: input.description || null,
+                secret: input.secret || crypto.randomBytes(32).toString('hex'),
+                enabled: true,
+                consecutiveFailures: 0,
+                createdAt: Timestamp.now()
+            });
+            // The secret is only ever returned on creation
+            return formatSubscription(await ref.get(), { includeSecret: true });
+        },
+
+        async list() {
+            const snapshot = await subscriptions.get();
+            return snapshot.docs.map(doc => formatSubscription(doc));
+        },
+
+        async remove(id) {
+            const ref = subscriptions.doc(id);
+            if (!(await ref.get()).exists) {
+                return false;
+            }
+            await ref.delete();
+            return true;
+        },
+
+        async listDeliveries(subscriptionId, { limit = 50 } = {}) {
+            const snapshot = await deliveries
+                .where('subscriptionId', '==', subscriptionId)
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+            return snapshot.docs.map(doc => {
+                const data = doc.data();
+                return {
+                    id: doc.id,
+                    eventId: data.eventId,
+                    eventType: data.eventType,
+                    status: data.status,
+                    attempts: data.attempts,
+                    responseStatus: data.responseStatus || null,
+                    lastError: data.lastError || null,
+                    createdAt: data.createdAt?.toMillis?.() || null
+                };
+            });
+        },
+
+        // Send a processed event to every matching subscriber in the background
+        dispatch(eventKey, event, result) {
+            const payload = normalizeEvent(eventKey, event, result);
+            if (!payload) {
+                return;
+            }
+
+            subscriptions.where('enabled', '==', true).get()
+                .then(snapshot => Promise.all(snapshot.docs
+                    .filter(doc => {
+                        const { eventTypes = [] } = doc.data();
+                        return eventTypes.includes('*') || eventTypes.includes(payload.type);
+                    })
+                    .map(doc => deliver(doc, payload))))
+                .catch(error => console.error(`Subscription fan-out for ${eventKey} failed:`, error));
+        }
+    };
+}
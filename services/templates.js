@@ -0,0 +1,110 @@
+// WATI template catalogue: cached list of approved templates, placeholder
+// checks and rendering of the final message text.
+
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Placeholder names used in a template body, e.g. "Hi {{name}}" → ['name']
+export function extractPlaceholders(body) {
+    const names = new Set();
+    for (const match of String(body || '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return [...names];
+}
+
+// Accept { name: value } or [{ name, value }] and return WATI's [{ name, value }] shape
+export function normalizeParameters(parameters) {
+    if (!parameters) {
+        return [];
+    }
+    if (Array.isArray(parameters)) {
+        return parameters
+            .filter(param => param && param.name)
+            .map(param => ({ name: String(param.name), value: String(param.value ?? '') }));
+    }
+    if (typeof parameters === 'object') {
+        return Object.entries(parameters).map(([name, value]) => ({ name, value: String(value ?? '') }));
+    }
+    return null;
+}
+
+export function renderTemplate(body, parameters) {
+    const values = Object.fromEntries(parameters.map(param => [param.name, param.value]));
+    return String(body || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        name in values ? values[name] : placeholder);
+}
+
+// API shape of a WATI template
+export function formatTemplate(template) {
+    const body = template.body || template.bodyOriginal || '';
+    return {
+        name: template.elementName,
+        status: template.status,
+        category: template.category || null,
+        language: template.language?.value || template.language || null,
+        body,
+        placeholders: extractPlaceholders(body)
+    };
+}
+
+export function createTemplateCatalogue({
+    fetchTemplates,
+    ttlMs = parseInt(process.env.WATI_TEMPLATE_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS
+}) {
+    let cache = null;
+    let fetchedAt = 0;
+
+    // Approved templates, refreshed when stale. A failed refresh falls back to
+    // the previous list if there is one.
+    async function list({ refresh = false } = {}) {
+        if (!refresh && cache && Date.now() - fetchedAt < ttlMs) {
+            return cache;
+        }
+
+        try {
+            const templates = await fetchTemplates();
+            cache = templates
+                .filter(template => String(template.status).toUpperCase() === 'APPROVED')
+                .map(formatTemplate);
+            fetchedAt = Date.now();
+        } catch (error) {
+            if (!cache) {
+                throw error;
+            }
+            console.error('Template refresh failed, serving cached templates:', error.message);
+        }
+        return cache;
+    }
+
+    async function find(name) {
+        const templates = await list();
+        return templates.find(template => template.name === name) || null;
+    }
+
+    return {
+        list,
+        find,
+
+        // Check a send request. Returns { error } or { template, parameters, text }.
+        async prepare(name, rawParameters) {
+            const parameters = normalizeParameters(rawParameters);
+            if (!parameters) {
+                return { error: "'parameters' must be an object or an array of { name, value }" };
+            }
+
+            const template = await find(name);
+            if (!template) {
+                return { error: `Template '${name}' does not exist or is not approved` };
+            }
+
+            const supplied = new Set(parameters.map(param => param.name));
+            const missing = template.placeholders.filter(placeholder => !supplied.has(placeholder));
+            if (missing.length > 0) {
+                return { error: `Missing template parameters: ${missing.join(', ')}`, missing };
+            }
+
+            return { template, parameters, text: renderTemplate(template.body, parameters) };
+        }
+    };
+}
@@ -0,0 +1,659 @@
+import { URL } from 'url';
+import { parse } from 'querystring';
+import { createWatiWebhookVerifier } from '../middleware/verifyWatiWebhook.js';
+import { createWebhookQueue } from './webhookQueue.js';
+import { applyMessageStatus, normalizeStatus } from './messageStatus.js';
+import { formatMessage } from './messages.js';
+import { Timestamp, toTimestamp } from './time.js';
+import { createWatiClient, getSentMessageIds } from './wati.js';
+import { indexMessageIds, messageDocId, messageIdsOf, resolveMessageId } from './messageIds.js';
+import { createTemplateCatalogue } from './templates.js';
+import { createBroadcastService } from './broadcasts.js';
+import { archiveMedia } from './media.js';
+import { createAutoReplyEngine } from './autoReply.js';
+import { createSubscriptionService } from './subscriptions.js';
+import { createConsentService } from './consent.js';
+import { createConversationService } from './conversations.js';
+import { normalizeWaId } from './phone.js';
+import { createScheduledMessageService } from './scheduledMessages.js';
+import { getServiceWindow, updateContactFromMessage } from './contacts.js';
+import { scopeDatabase } from './tenants.js';
+
+// Everything that belongs to one tenant (see services/tenants.js): its WATI
+// client and template catalogue, webhook verification and event handlers, and
+// the consent, conversation, auto-reply, subscription, broadcast, scheduling
+// and webhook queue services, all working on the tenant's own collections.
+// server.js creates one per tenant and hands it to routes as `req.tenant`.
+
+const supportedMediaTypes = ['image', 'audio', 'video', 'voice', 'document', 'sticker'];
+
+export function createTenantRuntime({ tenant, db: rootDb, realtime, mediaStorage, rateLimiter }) {
+    const db = scopeDatabase(rootDb, tenant);
+    const defaultChannelNumber = tenant.channelNumbers[0];
+
+    // Dashboard events, only delivered to this tenant's clients
+    const publish = (type, waId, data) => realtime.publish(type, waId, data, { tenantId: tenant.id });
+
+    const wati = createWatiClient({
+        baseUrl: tenant.baseUrl,
+        token: tenant.token,
+        // Optional endpoint (relative to baseUrl) used to forward read receipts
+        readReceiptPath: tenant.readReceiptPath
+    });
+
+    // Approved templates, cached (see services/templates.js)
+    const templateCatalogue = createTemplateCatalogue({
+        fetchTemplates: () => wati.getMessageTemplates()
+    });
+
+    // Webhook verification (see middleware/verifyWatiWebhook.js)
+    const verifyWebhook = createWatiWebhookVerifier({ db, tenantId: tenant.id, secrets: tenant.webhookSecrets });
+
+    // Count a template send against the recipient's daily cap. Pass the result
+    // to sendPreparedTemplate() so a send WATI does not accept is taken back.
+    async function consumeTemplateQuota(phone) {
+        const key = `${tenant.id}:${phone}`;
+        const quota = await rateLimiter.consume('templateDaily', key);
+        return { ...quota, refund: () => rateLimiter.refund('templateDaily', key, quota) };
+    }
+
+    // Tell dashboards about a status transition. A transition from nothing means
+    // the message doc was just created.
+    function publishTransition(messageId, transition, messageData = {}) {
+        if (!transition.accepted) {
+            return;
+        }
+
+        if (transition.from === null) {
+            publish('message.created', transition.waId,
+                formatMessage(messageId, { ...messageData, status: transition.to }));
+        } else {
+            publish('message.status', transition.waId, {
+                id: messageId,
+                from: transition.from,
+                status: transition.to
+            });
+        }
+    }
+
+    async function handleMediaMessage(db, event) {
+        const msgType = event.type;
+        const dataObj = event;
+
+        if (!supportedMediaTypes.includes(msgType)) {
+            await db.collection('webhook_responses').add({
+                response: `⚠️ Unhandled type: ${msgType}`,
+                rawData: event,
+                timestamp: Timestamp.now()
+            });
+            return { status: 'unhandled_media_type', type: msgType };
+        }
+
+        const dataUrl = dataObj.data || '';
+        let filename;
+
+        try {
+            const parsedUrl = new URL(dataUrl);
+            const queryParams = parse(parsedUrl.search.slice(1));
+            filename = queryParams.fileName || parsedUrl.pathname.split('/').pop();
+        } catch (e) {
+            filename = dataUrl.split('/').pop() || `media_${Date.now()}`;
+        }
+
+        let caption = '';
+        if (dataObj[msgType]?.caption) {
+            caption = dataObj[msgType].caption;
+        } else if (dataObj.caption) {
+            caption = dataObj.caption;
+        }
+
+        // Key on the WhatsApp message id so retried deliveries overwrite instead of duplicating
+        const attachments = db.collection('whatsapp_attachments');
+        const attachmentRef = event.id ? attachments.doc(messageDocId(event.id)) : attachments.doc();
+        const messageId = event.id ? messageDocId(event.id) : attachmentRef.id;
+
+        // Keep our own copy: WATI attachment links expire. When the queue
+        // retries the event (see below) this is the only step that is repeated.
+        const stored = await attachmentRef.get();
+        let archiveError = null;
+        if (stored.data()?.archiveStatus !== 'archived') {
+            let archive = null;
+            try {
+                const attachmentUrl = await wati.getAttachmentUrl(filename);
+                archive = await archiveMedia({
+                    storage: mediaStorage,
+                    urls: [attachmentUrl, dataUrl],
+                    headersFor: (url) => wati.authHeadersFor(url),
+                    filename
+                });
+            } catch (error) {
+                console.error(`Archiving attachment ${filename} failed:`, error.message);
+                archiveError = error;
+            }
+
+            const attachmentData = {
+                caption,
+                sha256: archive?.sha256 || null,
+                attachment_id: filename,
+                type: msgType,
+                whatsapp_message_id: event.id || null,
+                waId: event.waId || null,
+                direction: 'incoming',
+                timestamp: Timestamp.now(),
+                attachment_url: dataUrl, // Original WATI URL, may expire
+                contentType: archive?.contentType || null,
+                size: archive?.size ?? null,
+                storageKey: archive?.storageKey || null,
+                storageBackend: archive?.storageBackend || null,
+                archiveStatus: archive ? 'archived' : 'failed',
+                archiveError: archiveError?.message || null,
+                archivedAt: archive ? Timestamp.now() : null
+            };
+
+            await db.collection('webhook_responses').add({
+                response: `Attachment handled: ${JSON.stringify(attachmentData)}`,
+                timestamp: Timestamp.now()
+            });
+
+            await attachmentRef.set({ ...attachmentData, messageId });
+            console.log(`Attachment saved with ID: ${attachmentRef.id}`);
+        }
+
+        // The message doc puts the media into the conversation timeline
+        const messageData = {
+            id: event.id || messageId,
+            waId: event.waId,
+            text: caption,
+            caption,
+            type: msgType,
+            attachmentId: attachmentRef.id,
+            timestamp: toTimestamp(event.timestamp),
+            status: 'received',
+            direction: 'incoming',
+            seen: false,
+            rawData: event
+        };
+
+        // Created once: a retry must not mark it unseen again after an agent
+        // read it, nor announce it to dashboards twice
+        let created = false;
+        try {
+            await db.collection('whatsapp_messages').doc(messageId).create(messageData);
+            created = true;
+            await updateContactFromMessage(db, messageData);
+
+            publish('message.created', event.waId, formatMessage(messageId, messageData));
+        } catch (error) {
+            if (error.code !== 6) { // ALREADY_EXISTS
+                console.error('Attachment insert failed:', error);
+                return {
+                    status: 'media_insert_failed',
+                    error: error.message,
+                    type: msgType,
+                    created
+                };
+            }
+        }
+
+        return {
+            status: 'media_processed',
+            attachmentId: attachmentRef.id,
+            messageId,
+            type: msgType,
+            created,
+            ...(archiveError && { archiveError: `Media archiving failed for ${filename}: ${archiveError.message}` })
+        };
+    }
+
+    // Event Handlers
+    async function handleMessage(db, event) {
+        const messageData = {
+            id: event.id,
+            waId: event.waId,
+            text: event.text,
+            type: event.type,
+            timestamp: toTimestamp(event.timestamp),
+            status: 'received',
+            direction: 'incoming',
+            seen: false,
+            rawData: event
+        };
+
+        const messageId = messageDocId(event.id);
+        await db.collection('whatsapp_messages').doc(messageId).set(messageData);
+        await updateContactFromMessage(db, messageData);
+        publish('message.created', event.waId, formatMessage(messageId, messageData));
+        return { status: 'message_processed' };
+    }
+
+    async function handleTemplateMessage(db, event) {
+        const timestamp = toTimestamp(event.created);
+        const messageId = await resolveMessageId(db, messageIdsOf(event)) || messageDocId(event.id);
+        const messageData = {
+            id: messageId,
+            waId: event.waId,
+            text: event.text,
+            type: 'template',
+            templateName: event.templateName,
+            timestamp,
+            direction: 'outgoing',
+            rawData: event
+        };
+
+        // The echo of a message we sent ourselves only fills in what is missing
+        const transition = await applyMessageStatus(db, messageId, normalizeStatus(event.statusString) || 'sent', {
+            event,
+            at: timestamp,
+            placeholder: messageData
+        });
+        await indexMessageIds(db, messageId, messageIdsOf(event));
+        await updateContactFromMessage(db, { ...transition.message, id: messageId });
+        publishTransition(messageId, transition, transition.message);
+        return { status: 'template_processed', transition };
+    }
+
+    async function handleSessionMessage(db, event) {
+        const timestamp = toTimestamp(event.timestamp);
+        const messageId = await resolveMessageId(db, messageIdsOf(event)) || messageDocId(event.id);
+        const messageData = {
+            id: messageId,
+            waId: event.waId,
+            text: event.text,
+            type: 'session',
+            timestamp,
+            direction: 'outgoing',
+            rawData: event
+        };
+
+        const transition = await applyMessageStatus(db, messageId, normalizeStatus(event.statusString) || 'sent', {
+            event,
+            at: timestamp,
+            placeholder: messageData
+        });
+        await indexMessageIds(db, messageId, messageIdsOf(event));
+        await updateContactFromMessage(db, { ...transition.message, id: messageId });
+        publishTransition(messageId, transition, transition.message);
+        return { status: 'session_message_processed', transition };
+    }
+
+    // Delivery, read, replied, failed and deleted events all move the message
+    // through the status lifecycle (see services/messageStatus.js)
+    async function handleStatusUpdate(db, event, status) {
+        const at = toTimestamp(event.timestamp);
+        const fields = {};
+
+        if (status === 'failed') {
+            fields.failureReason = event.failedDetail || event.failedCode || event.statusString || null;
+        }
+
+        const messageId = await resolveMessageId(db, messageIdsOf(event)) || messageDocId(event.id);
+        const transition = await applyMessageStatus(db, messageId, status, {
+            event,
+            at,
+            fields,
+            // Used when the status arrives before we have seen the message itself
+            placeholder: {
+                id: messageId,
+                waId: event.waId || event.whatsappMessageId || 'unknown',
+                text: event.text || '',
+                type: event.type || 'text',
+                timestamp: at
+            }
+        });
+        await indexMessageIds(db, messageId, messageIdsOf(event));
+        publishTransition(messageId, transition, { waId: transition.waId, timestamp: at });
+
+        // Keep broadcast recipient states in step with their messages
+        await broadcastService.recordMessageStatus([event.id, event.whatsappMessageId, event.localMessageId], status);
+
+        return {
+            status: transition.accepted ? `${status}_status_updated` : `${status}_status_ignored`,
+            transition
+        };
+    }
+
+    // What follows storing any inbound message, text or media: STOP / START
+    // keywords, then auto-replies. Adds their outcome to `result`.
+    async function handleInboundMessage(event, result) {
+        // Not caught: a lost opt-out is worse than a retry
+        const consent = await consentService.handleInbound(event);
+        if (consent) {
+            result.consent = consent.consent.status;
+            if (consent.changed) {
+                console.log(`📵 ${event.waId} is now ${consent.consent.status}`);
+                publish('consent.updated', String(event.waId), consent.consent);
+            }
+            return result;
+        }
+        if (await consentService.getOptOut(String(event.waId))) {
+            result.autoReply = { status: 'skipped', reason: 'opted_out' };
+            return result;
+        }
+
+        // A failed auto-reply must not make the queue store the message again
+        try {
+            result.autoReply = await autoReply.handleInbound(event);
+        } catch (error) {
+            console.error('Auto-reply failed:', error);
+            result.autoReply = { status: 'failed', error: error.message };
+        }
+        return result;
+    }
+
+    // Route a stored webhook event to its handler. Throws on failure so the queue can retry it.
+    async function processWebhookEvent(event) {
+        // WATI sends waIds without "+", but not always in canonical form
+        if (event.waId) {
+            event = { ...event, waId: normalizeWaId(event.waId) };
+        }
+
+        switch (event.eventType) {
+            case 'message': {
+                // A customer writing back reopens a resolved conversation
+                const conversation = await conversations.handleInbound(event);
+                if (conversation) {
+                    publish('conversation.updated', String(event.waId), conversation);
+                }
+
+                if (!supportedMediaTypes.includes(event.type)) {
+                    return handleInboundMessage(event, await handleMessage(db, event));
+                }
+
+                // A retried media event was answered when its message was stored
+                const result = await handleMediaMessage(db, event);
+                if (result.created) {
+                    await handleInboundMessage(event, result);
+                }
+
+                // Let the webhook queue retry the download later. If it never succeeds
+                // the message stays stored and its attachment keeps archiveStatus 'failed'.
+                if (result.archiveError) {
+                    throw new Error(result.archiveError);
+                }
+                return result;
+            }
+            case 'templateMessageSent':
+            case 'templateMessageSent_v2':
+                return handleTemplateMessage(db, event);
+            case 'sessionMessageSent':
+            case 'sessionMessageSent_v2':
+                return handleSessionMessage(db, event);
+            case 'sentMessageDELIVERED':
+            case 'sentMessageDELIVERED_v2':
+                return handleStatusUpdate(db, event, 'delivered');
+            case 'sentMessageREAD':
+            case 'sentMessageREAD_v2':
+                return handleStatusUpdate(db, event, 'read');
+            case 'sentMessageREPLIED':
+            case 'sentMessageREPLIED_v2':
+                return handleStatusUpdate(db, event, 'replied');
+            case 'templateMessageFailed':
+            case 'templateMessageFailed_v2':
+            case 'sentMessageFAILED':
+            case 'sentMessageFAILED_v2':
+                return handleStatusUpdate(db, event, 'failed');
+            case 'sentMessageDELETED':
+            case 'sentMessageDELETED_v2':
+                return handleStatusUpdate(db, event, 'deleted');
+            default:
+                console.log('Unhandled event type:', event.eventType);
+                return { status: 'unhandled', eventType: event.eventType };
+        }
+    }
+
+    // Forwarding of processed events to our own services (see services/subscriptions.js)
+    const subscriptionService = createSubscriptionService({ db });
+
+    const webhookQueue = createWebhookQueue({
+        db,
+        processEvent: processWebhookEvent,
+        onProcessed: (eventKey, event, result) => subscriptionService.dispatch(eventKey, event, result)
+    });
+
+    // Store an outgoing message under the id WATI gave it, so the sent echo and
+    // the status webhooks (see services/messageIds.js) land on the same doc. If a
+    // webhook got there first its status is kept.
+    async function saveOutgoingMessage(messageData, watiResponse) {
+        const messages = db.collection('whatsapp_messages');
+        const ids = getSentMessageIds(watiResponse);
+        const existingId = await resolveMessageId(db, ids);
+        const messageRef = existingId || ids[0] ? messages.doc(existingId || messageDocId(ids[0])) : messages.doc();
+
+        if (existingId) {
+            const { status, ...fields } = messageData;
+            await messageRef.set(fields, { merge: true });
+        } else {
+            await messageRef.set(messageData);
+        }
+        await indexMessageIds(db, messageRef.id, ids);
+        return messageRef;
+    }
+
+    // A failed refund only costs the recipient one send of their daily cap
+    async function refundQuota(quota) {
+        try {
+            await quota?.refund?.();
+        } catch (error) {
+            console.error('Template quota refund failed:', error);
+        }
+    }
+
+    // Send a template that passed templateCatalogue.prepare() and record it like
+    // any other outgoing message
+    async function sendPreparedTemplate(phone, prepared, { channelNumber = defaultChannelNumber, extraFields = {}, quota = null } = {}) {
+        const templateName = prepared.template.name;
+
+        // Send template message via WATI API
+        let watiResponse;
+        try {
+            watiResponse = await wati.sendTemplateMessage(phone, {
+                templateName,
+                parameters: prepared.parameters,
+                channelNumber
+            });
+        } catch (error) {
+            await refundQuota(quota);
+            throw error;
+        }
+        // WATI answers some refusals (e.g. an invalid number) with 200 and result: false
+        const rejected = watiResponse?.result === false;
+        if (rejected) {
+            await refundQuota(quota);
+        }
+
+        // Create a record in Firestore
+        const messageData = {
+            waId: phone,
+            text: prepared.text,
+            direction: "outgoing",
+            status: rejected ? "failed" : "sent",
+            ...(rejected && { failureReason: watiResponse.info || null }),
+            type: "template",
+            templateName: templateName,
+            templateParameters: prepared.parameters,
+            channelNumber,
+            ...extraFields,
+            timestamp: Timestamp.now(),
+            rawData: {
+                eventType: "templateMessageSent",
+                templateName: templateName,
+                watiResponse
+            }
+        };
+
+        const messageRef = await saveOutgoingMessage(messageData, watiResponse);
+        await updateContactFromMessage(db, { id: messageRef.id, ...messageData });
+        publish('message.created', phone, formatMessage(messageRef.id, messageData));
+
+        return { messageRef, messageData, watiResponse };
+    }
+
+    // Send a free-form message inside the 24h session window and record it
+    async function sendSessionText(phone, message, { extraFields = {} } = {}) {
+        // 1. First send to WATI API
+        const watiResponse = await wati.sendSessionMessage(phone, message);
+
+        // 2. Save to Firestore
+        const messageData = {
+            text: message,
+            waId: phone,
+            direction: "outgoing",
+            status: "sent",
+            ...extraFields,
+            timestamp: Timestamp.now(), // Use Firestore Timestamp
+            rawData: {
+                eventType: "sessionMessageSent",
+                whatsappResponse: watiResponse
+            }
+        };
+
+        const messageRef = await saveOutgoingMessage(messageData, watiResponse);
+        await updateContactFromMessage(db, { id: messageRef.id, ...messageData });
+        publish('message.created', phone, formatMessage(messageRef.id, messageData));
+
+        return { messageRef, messageData, watiResponse };
+    }
+
+    // Opt-outs and opt-ins (see services/consent.js)
+    const consentService = createConsentService({ db });
+
+    // Assignment, status, tags and notes (see services/conversations.js)
+    const conversations = createConversationService({ db });
+
+    // Auto-replies and chatbot flows (see services/autoReply.js)
+    const autoReply = createAutoReplyEngine({
+        db,
+        send: async (waId, response, tags) => {
+            const extraFields = { autoReply: tags };
+
+            if (response.type === 'template') {
+                const prepared = await templateCatalogue.prepare(response.templateName, response.parameters);
+                if (prepared.error) {
+                    throw new Error(prepared.error);
+                }
+                return sendPreparedTemplate(waId, prepared, { extraFields });
+            }
+            return sendSessionText(waId, response.text, { extraFields });
+        }
+    });
+
+    // Scheduled messages and reminders (see services/scheduledMessages.js). They go
+    // through the same checks as sends from the API.
+    const scheduledMessages = createScheduledMessageService({
+        db,
+        // Catch unknown templates and missing parameters when a job is saved rather than when it is due
+        checkMessage: async (message) => {
+            if (message.type !== 'template') {
+                return null;
+            }
+            const prepared = await templateCatalogue.prepare(message.templateName, message.parameters);
+            return prepared.error ? {
+                error: prepared.error,
+                templateName: message.templateName,
+                ...(prepared.missing && { missingParameters: prepared.missing })
+            } : null;
+        },
+        send: async (job) => {
+            if (await consentService.getOptOut(job.phone)) {
+                throw new Error('Recipient has opted out of messages');
+            }
+
+            const extraFields = { scheduledMessageId: job.id, sentBy: job.createdBy || null };
+
+            if (job.message.type === 'template') {
+                const prepared = await templateCatalogue.prepare(job.message.templateName, job.message.parameters);
+                if (prepared.error) {
+                    throw new Error(prepared.error);
+                }
+
+                const quota = await consumeTemplateQuota(job.phone);
+                if (!quota.allowed) {
+                    throw new Error(`Daily template cap of ${quota.limit} reached for this recipient`);
+                }
+
+                const { messageRef } = await sendPreparedTemplate(job.phone, prepared, {
+                    channelNumber: job.channelNumber || defaultChannelNumber,
+                    extraFields,
+                    quota
+                });
+                return { messageId: messageRef.id };
+            }
+
+            const serviceWindow = await getServiceWindow(db, job.phone);
+            if (!serviceWindow.open) {
+                throw new Error('The 24-hour customer service window is closed; only templates can be sent');
+            }
+
+            const { messageRef } = await sendSessionText(job.phone, job.message.text, { extraFields });
+            return { messageId: messageRef.id };
+        }
+    });
+
+    // Broadcast sends (see services/broadcasts.js)
+    const broadcastService = createBroadcastService({
+        db,
+        sendTemplate: async ({ phone, templateName, parameters, channelNumber, broadcastId, createdBy }) => {
+            if (await consentService.getOptOut(phone)) {
+                throw new Error('Recipient has opted out of messages');
+            }
+
+            const prepared = await templateCatalogue.prepare(templateName, parameters);
+            if (prepared.error) {
+                throw new Error(prepared.error);
+            }
+
+            const quota = await consumeTemplateQuota(phone);
+            if (!quota.allowed) {
+                throw new Error(`Daily template cap of ${quota.limit} reached for this recipient`);
+            }
+
+            const { watiResponse } = await sendPreparedTemplate(phone, prepared, {
+                channelNumber,
+                extraFields: { broadcastId, sentBy: createdBy },
+                quota
+            });
+            if (watiResponse?.result === false) {
+                throw new Error(watiResponse.info || 'WATI did not accept the message');
+            }
+            return { messageIds: getSentMessageIds(watiResponse) };
+        }
+    });
+
+    return {
+        id: tenant.id,
+        name: tenant.name,
+        channelNumbers: tenant.channelNumbers,
+        defaultChannelNumber,
+        defaultTemplate: tenant.defaultTemplate,
+        sessionFallbackTemplate: tenant.sessionFallbackTemplate,
+        db,
+        wati,
+        templateCatalogue,
+        verifyWebhook,
+        consentService,
+        conversations,
+        autoReply,
+        subscriptionService,
+        webhookQueue,
+        broadcastService,
+        scheduledMessages,
+        publish,
+        processWebhookEvent,
+        consumeTemplateQuota,
+        saveOutgoingMessage,
+        sendPreparedTemplate,
+        sendSessionText,
+
+        start() {
+            webhookQueue.start();
+            broadcastService.start();
+            scheduledMessages.start();
+        },
+
+        stop() {
+            webhookQueue.stop();
+            broadcastService.stop();
+            scheduledMessages.stop();
+        }
+    };
+}
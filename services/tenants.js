@@ -0,0 +1,166 @@
+import fs from 'node:fs';
+import { parseSecrets } from '../middleware/verifyWatiWebhook.js';
+
+// Tenant registry: one entry per clinic, each with its own WATI account.
+//
+// WATI_TENANTS holds a JSON array (or WATI_TENANTS_FILE the path of a JSON
+// file with one):
+//
+//   [{ "id": "clinic-a", "name": "Clinic A",
+//      "baseUrl": "https://live-mt-server.wati.io/<account id>/api/v1", "token": "...",
+//      "channelNumbers": ["27820000000"], "webhookSecrets": ["..."],
+//      "defaultTemplate": "missed_appointment", "sessionFallbackTemplate": null,
+//      "readReceiptPath": null, "legacyStorage": true }]
+//
+// Without either, a single "default" tenant is built from WATI_BASE_URL and
+// WATI_CHANNEL_NUMBER (comma separated for several numbers), which are then
+// required, plus WATI_API_TOKEN, WATI_WEBHOOK_SECRETS, WATI_DEFAULT_TEMPLATE,
+// SESSION_FALLBACK_TEMPLATE and WATI_READ_RECEIPT_PATH.
+//
+// Storage: each tenant's collections live under `tenants/{id}/`, except for
+// the one marked legacyStorage (the env-built tenant), which keeps the
+// top-level collections that held the data before there were tenants.
+//
+// Callers are bound to a tenant by the fourth field of their API key
+// (`key:role:name:tenant`) or the `tenant` claim of their Firebase ID token.
+// Callers without one, and deliveries to POST /webhook, use DEFAULT_TENANT,
+// or the only tenant when there is just one.
+
+const DEFAULT_TEMPLATE = 'missed_appointment';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+function list(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(Boolean);
+    }
+    return parseSecrets(value);
+}
+
+// Validate and fill in one registry entry
+function normalizeTenant(entry, env) {
+    const id = String(entry?.id || '');
+    if (!TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`WATI_TENANTS: invalid tenant id '${id}' (letters, digits, '-' and '_' only)`);
+    }
+    if (!entry.baseUrl) {
+        throw new Error(`WATI_TENANTS: tenant '${id}' needs a baseUrl`);
+    }
+
+    const channelNumbers = list(entry.channelNumbers ?? entry.channelNumber);
+    if (channelNumbers.length === 0) {
+        throw new Error(`WATI_TENANTS: tenant '${id}' needs at least one channel number`);
+    }
+    if (!entry.token) {
+        console.warn(`⚠️ No WATI token is set for tenant '${id}': calls to WATI will be rejected.`);
+    }
+
+    return {
+        id,
+        name: entry.name || id,
+        baseUrl: entry.baseUrl,
+        token: entry.token || null,
+        channelNumbers,
+        webhookSecrets: list(entry.webhookSecrets ?? entry.webhookSecret),
+        defaultTemplate: entry.defaultTemplate || env.WATI_DEFAULT_TEMPLATE || DEFAULT_TEMPLATE,
+        sessionFallbackTemplate: entry.sessionFallbackTemplate || null,
+        readReceiptPath: entry.readReceiptPath || null,
+        legacyStorage: entry.legacyStorage === true
+    };
+}
+
+function tenantsFromEnv(env) {
+    if (env.WATI_TENANTS_FILE) {
+        return JSON.parse(fs.readFileSync(env.WATI_TENANTS_FILE, 'utf8'));
+    }
+    if (env.WATI_TENANTS) {
+        return JSON.parse(env.WATI_TENANTS);
+    }
+
+    if (!env.WATI_BASE_URL) {
+        throw new Error('WATI_BASE_URL must be set (or WATI_TENANTS / WATI_TENANTS_FILE)');
+    }
+    if (parseSecrets(env.WATI_CHANNEL_NUMBER).length === 0) {
+        throw new Error('WATI_CHANNEL_NUMBER must be set (or WATI_TENANTS / WATI_TENANTS_FILE)');
+    }
+
+    return [{
+        id: 'default',
+        baseUrl: env.WATI_BASE_URL,
+        token: env.WATI_API_TOKEN,
+        channelNumbers: env.WATI_CHANNEL_NUMBER,
+        webhookSecrets: env.WATI_WEBHOOK_SECRETS,
+        sessionFallbackTemplate: env.SESSION_FALLBACK_TEMPLATE,
+        readReceiptPath: env.WATI_READ_RECEIPT_PATH,
+        legacyStorage: true
+    }];
+}
+
+export function loadTenants(env = process.env) {
+    const entries = tenantsFromEnv(env);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('WATI_TENANTS must be a non-empty JSON array');
+    }
+
+    const tenants = entries.map(entry => normalizeTenant(entry, env));
+    const byId = new Map();
+    for (const tenant of tenants) {
+        if (byId.has(tenant.id)) {
+            throw new Error(`WATI_TENANTS: duplicate tenant id '${tenant.id}'`);
+        }
+        byId.set(tenant.id, tenant);
+    }
+    if (tenants.filter(tenant => tenant.legacyStorage).length > 1) {
+        throw new Error('WATI_TENANTS: only one tenant can use legacyStorage');
+    }
+
+    const defaultTenantId = env.DEFAULT_TENANT || (tenants.length === 1 ? tenants[0].id : null);
+    if (defaultTenantId && !byId.has(defaultTenantId)) {
+        throw new Error(`DEFAULT_TENANT: unknown tenant '${defaultTenantId}'`);
+    }
+
+    return {
+        tenants,
+        defaultTenantId,
+
+        get(id) {
+            return byId.get(String(id)) || null;
+        },
+
+        // The tenant a caller acts on, or null if they have none
+        tenantFor(user) {
+            return byId.get(user?.tenantId || defaultTenantId) || null;
+        }
+    };
+}
+
+// A database whose collections are the tenant's own (see "Storage" above).
+// Batches and transactions are shared with the underlying database.
+export function scopeDatabase(db, tenant) {
+    if (tenant.legacyStorage) {
+        return db;
+    }
+
+    const root = db.collection('tenants').doc(tenant.id);
+    return {
+        collection: (name) => root.collection(name),
+        batch: () => db.batch(),
+        runTransaction: (fn, options) => db.runTransaction(fn, options)
+    };
+}
+
+// For scripts: `--tenant=<id>`, else the default tenant
+export function databaseForTenant(db, argv = process.argv) {
+    const registry = loadTenants();
+    const tenantId = argv.find(arg => arg.startsWith('--tenant='))?.slice('--tenant='.length) || registry.defaultTenantId;
+    const tenant = tenantId ? registry.get(tenantId) : null;
+
+    if (!tenant) {
+        throw new Error(tenantId
+            ? `Unknown tenant '${tenantId}'`
+            : 'Several tenants are configured: pass --tenant=<id>');
+    }
+
+    console.log(`🏥 Tenant: ${tenant.id}`);
+    return scopeDatabase(db, tenant);
+}
@@ -0,0 +1,77 @@
+import { Timestamp } from 'firebase-admin/firestore';
+
+// Timestamps as stored by every database backend (see services/database.js).
+// Both backends store and return Firestore's Timestamp class, which works
+// without a Firebase connection, so code only ever sees one shape.
+
+export { Timestamp };
+
+// Timestamp of a WATI event time (seconds, millis, numeric string or
+// Timestamp); the current time when missing or invalid
+export function toTimestamp(timestamp) {
+    try {
+        // If it's already a Firestore Timestamp
+        if (timestamp instanceof Timestamp) {
+            return timestamp;
+        }
+
+        // If it's undefined or null, return current time
+        if (timestamp === undefined || timestamp === null) {
+            return Timestamp.now();
+        }
+
+        // If it's a string that might be a number
+        if (typeof timestamp === 'string') {
+            // Remove any non-numeric characters
+            const numericTimestamp = timestamp.replace(/\D/g, '');
+
+            // Convert to number
+            const timestampNum = parseInt(numericTimestamp);
+
+            if (isNaN(timestampNum)) {
+                return Timestamp.now();
+            }
+
+            // If it's in seconds format (10 digits), convert to milliseconds
+            if (numericTimestamp.length === 10) {
+                return Timestamp.fromMillis(timestampNum * 1000);
+            }
+            // Otherwise assume it's milliseconds
+            return Timestamp.fromMillis(timestampNum);
+        }
+
+        // If it's a number
+        if (typeof timestamp === 'number') {
+            // If it's in seconds format (10 digits), convert to milliseconds
+            if (timestamp < 9999999999) {
+                return Timestamp.fromMillis(timestamp * 1000);
+            }
+            return Timestamp.fromMillis(timestamp);
+        }
+
+        // Fallback to current time
+        return Timestamp.now();
+    } catch (error) {
+        console.error('Timestamp conversion error:', error);
+        return Timestamp.now();
+    }
+}
+
+// Millisecond value of a stored timestamp (Firestore Timestamp, seconds, millis or date string)
+export function toMillis(timestamp) {
+    if (timestamp?.toMillis) {
+        return timestamp.toMillis();
+    }
+    if (typeof timestamp === 'string') {
+        // Handle both Unix timestamp strings and ISO strings
+        return isNaN(timestamp)
+            ? new Date(timestamp).getTime()
+            : parseInt(timestamp) * 1000;
+    }
+    if (typeof timestamp === 'number') {
+        // Assume milliseconds if number is large, seconds if small
+        return timestamp > 9999999999 ? timestamp : timestamp * 1000;
+    }
+    // Fallback to current time if timestamp is invalid
+    return Date.now();
+}
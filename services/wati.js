@@ -0,0 +1,142 @@
+import axios from 'axios';
+
+// Thin client for the WATI REST API. Methods resolve to WATI's response body
+// and let axios errors propagate, so callers can surface `error.response`.
+
+const TEMPLATE_PAGE_SIZE = 100;
+const MAX_TEMPLATE_PAGES = 20;
+
+export function createWatiClient({ baseUrl, token, readReceiptPath = null }) {
+    const http = axios.create({
+        baseURL: baseUrl,
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    return {
+        baseUrl,
+
+        // Auth headers for downloading media, only ever sent to the WATI host itself
+        authHeadersFor(url) {
+            try {
+                return new URL(url).host === new URL(baseUrl).host
+                    ? { Authorization: `Bearer ${token}` }
+                    : {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        async sendSessionMessage(phone, messageText) {
+            const response = await http.post(
+                `/sendSessionMessage/${encodeURIComponent(phone)}`,
+                null, // No body needed for this request
+                { params: { messageText } }
+            );
+            return response.data;
+        },
+
+        // Send a file (image, document, audio, video) inside the session window
+        async sendSessionFile(phone, { buffer, filename, mimeType, caption }) {
+            const form = new FormData();
+            form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+            const response = await http.post(
+                `/sendSessionFile/${encodeURIComponent(phone)}`,
+                form,
+                {
+                    params: caption ? { caption } : {},
+                    headers: { 'Content-Type': 'multipart/form-data' },
+                    maxBodyLength: Infinity
+                }
+            );
+            return response.data;
+        },
+
+        // parameters: [{ name, value }]
+        async sendTemplateMessage(phone, { templateName, parameters = [], channelNumber, broadcastName }) {
+            const response = await http.post(
+                '/sendTemplateMessage',
+                {
+                    template_name: templateName,
+                    broadcast_name: broadcastName || `init_${Date.now()}`,
+                    parameters,
+                    ...(channelNumber && { channel_number: channelNumber })
+                },
+                { params: { whatsappNumber: phone } }
+            );
+            return response.data;
+        },
+
+        // Every template on the account, across all result pages
+        async getMessageTemplates() {
+            const templates = [];
+
+            for (let pageNumber = 1; pageNumber <= MAX_TEMPLATE_PAGES; pageNumber++) {
+                const response = await http.get('/getMessageTemplates', {
+                    params: { pageSize: TEMPLATE_PAGE_SIZE, pageNumber }
+                });
+                const page = response.data?.messageTemplates || [];
+                templates.push(...page);
+
+                if (page.length < TEMPLATE_PAGE_SIZE) {
+                    break;
+                }
+            }
+            return templates;
+        },
+
+        async getAttachmentUrl(filename) {
+            try {
+                const response = await http.get('/getAttachmentUrl', { params: { filename } });
+                return response.data.attachment_url;
+            } catch (error) {
+                console.error('Error fetching attachment URL:', error);
+                return null;
+            }
+        },
+
+        // Forward a read receipt for an inbound message (endpoint is configurable)
+        async sendReadReceipt(waId, messageId) {
+            if (!readReceiptPath) {
+                return { sent: false, reason: 'WATI_READ_RECEIPT_PATH is not configured' };
+            }
+
+            try {
+                const response = await http.post(readReceiptPath, { whatsappNumber: waId, messageId });
+                return { sent: true, watiResponse: response.data };
+            } catch (error) {
+                console.error('Error sending read receipt:', error);
+                return { sent: false, reason: error.response?.data?.message || error.message };
+            }
+        }
+    };
+}
+
+// WhatsApp/WATI message id of a successful send, wherever this endpoint put it
+export function getSentMessageId(watiResponse) {
+    return watiResponse?.message?.whatsappMessageId ||
+        watiResponse?.message?.id ||
+        watiResponse?.model?.ids?.[0] ||
+        watiResponse?.whatsappMessageId ||
+        watiResponse?.localMessageId ||
+        watiResponse?.id ||
+        null;
+}
+
+// Every id a send response carries for the new message: WATI's own id first
+// (the `id` of its webhook events), then the WhatsApp and local message ids
+export function getSentMessageIds(watiResponse) {
+    const candidates = [
+        watiResponse?.message?.id,
+        ...(watiResponse?.model?.ids || []),
+        watiResponse?.id,
+        watiResponse?.message?.whatsappMessageId,
+        watiResponse?.whatsappMessageId,
+        watiResponse?.message?.localMessageId,
+        watiResponse?.localMessageId
+    ];
+    return [...new Set(candidates.filter(id => id !== undefined && id !== null && id !== '').map(String))];
+}
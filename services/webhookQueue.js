@@ -0,0 +1,280 @@
+import crypto from 'node:crypto';
+import { Timestamp } from './time.js';
+import { FieldValue } from './database.js';
+
+// Background processing for stored webhook events.
+//
+// POST /webhook only persists the event and acknowledges it. Events waiting
+// to be processed carry a `nextAttemptAt` timestamp; the worker picks up every
+// event whose `nextAttemptAt` has passed, claims it with a short lease and runs
+// it through `processEvent`. Failures are retried with exponential backoff and
+// events that exhaust `maxAttempts` are copied to the dead-letter collection.
+
+const EVENTS_COLLECTION = 'wati_webhook_events';
+const DEAD_LETTER_COLLECTION = 'wati_webhook_dead_letters';
+
+// Bookkeeping fields stored next to the original WATI payload
+const QUEUE_FIELDS = [
+    'eventKey', 'receivedAt', 'processed', 'processingResult', 'processedAt',
+    'queueStatus', 'attempts', 'lastError', 'lastAttemptAt', 'nextAttemptAt',
+    'deadLetteredAt', 'duplicateCount', 'lastDuplicateAt'
+];
+
+export function extractEventPayload(data) {
+    const payload = { ...data };
+    for (const field of QUEUE_FIELDS) {
+        delete payload[field];
+    }
+    return payload;
+}
+
+// Stable identity for a webhook delivery, so WATI retries map onto the same doc.
+// Uses eventType + WATI event id, falling back to a hash of the raw body.
+export function getWebhookEventKey(event, rawBody) {
+    const eventType = event.eventType || 'unknown';
+
+    if (event.id) {
+        // Firestore document ids cannot contain slashes
+        return `${eventType}_${String(event.id)}`.replace(/\//g, '_');
+    }
+
+    const hash = crypto.createHash('sha256')
+        .update(rawBody || JSON.stringify(event))
+        .digest('hex');
+    return `${eventType}_${hash}`;
+}
+
+export function getRetryDelay(attempts, baseDelayMs, maxDelayMs) {
+    const delay = baseDelayMs * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, maxDelayMs);
+}
+
+export function createWebhookQueue({
+    db,
+    processEvent,
+    // Called with (eventId, payload, result) once an event has been processed
+    onProcessed = () => {},
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000,
+    maxDelayMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 15 * 60 * 1000,
+    pollIntervalMs = parseInt(process.env.WEBHOOK_QUEUE_POLL_MS) || 10000,
+    leaseMs = 2 * 60 * 1000,
+    batchSize = 20
+}) {
+    const events = db.collection(EVENTS_COLLECTION);
+    const deadLetters = db.collection(DEAD_LETTER_COLLECTION);
+
+    let timer = null;
+    let polling = false;
+
+    // Claim the event for this worker. Returns the event data, or null if it
+    // is not due or another worker already holds it.
+    async function claim(eventRef) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(eventRef);
+            const data = doc.data();
+
+            if (!doc.exists || !data.nextAttemptAt || data.nextAttemptAt.toMillis() > Date.now()) {
+                return null;
+            }
+
+            transaction.update(eventRef, {
+                queueStatus: 'processing',
+                attempts: (data.attempts || 0) + 1,
+                lastAttemptAt: Timestamp.now(),
+                nextAttemptAt: Timestamp.fromMillis(Date.now() + leaseMs)
+            });
+
+            return { ...data, attempts: (data.attempts || 0) + 1 };
+        });
+    }
+
+    async function processOne(eventRef) {
+        const data = await claim(eventRef);
+        if (!data) {
+            return null;
+        }
+
+        try {
+            const result = await processEvent(extractEventPayload(data));
+
+            await eventRef.update({
+                processed: true,
+                queueStatus: 'processed',
+                processingResult: result,
+                processedAt: Timestamp.now(),
+                lastError: null,
+                nextAttemptAt: FieldValue.delete()
+            });
+
+            try {
+                onProcessed(eventRef.id, extractEventPayload(data), result);
+            } catch (error) {
+                console.error(`onProcessed failed for webhook event ${eventRef.id}:`, error);
+            }
+            return result;
+        } catch (error) {
+            console.error(`Webhook event ${eventRef.id} failed (attempt ${data.attempts}/${maxAttempts}):`, error);
+
+            if (data.attempts >= maxAttempts) {
+                await deadLetters.doc(eventRef.id).set({
+                    eventKey: eventRef.id,
+                    eventType: data.eventType || null,
+                    payload: extractEventPayload(data),
+                    attempts: data.attempts,
+                    lastError: error.message,
+                    receivedAt: data.receivedAt || null,
+                    deadLetteredAt: Timestamp.now()
+                });
+                await eventRef.update({
+                    queueStatus: 'dead_letter',
+                    lastError: error.message,
+                    deadLetteredAt: Timestamp.now(),
+                    nextAttemptAt: FieldValue.delete()
+                });
+                console.warn(`☠️ Webhook event ${eventRef.id} moved to dead-letter queue`);
+            } else {
+                const delay = getRetryDelay(data.attempts, baseDelayMs, maxDelayMs);
+                await eventRef.update({
+                    queueStatus: 'pending',
+                    lastError: error.message,
+                    nextAttemptAt: Timestamp.fromMillis(Date.now() + delay)
+                });
+            }
+            return null;
+        }
+    }
+
+    async function poll() {
+        if (polling) {
+            return;
+        }
+        polling = true;
+
+        try {
+            const snapshot = await events
+                .where('nextAttemptAt', '<=', Timestamp.now())
+                .orderBy('nextAttemptAt', 'asc')
+                .limit(batchSize)
+                .get();
+
+            for (const doc of snapshot.docs) {
+                await processOne(doc.ref);
+            }
+        } catch (error) {
+            console.error('Webhook queue poll failed:', error);
+        } finally {
+            polling = false;
+        }
+    }
+
+    // Process a newly stored event right away instead of waiting for the next poll
+    function enqueue(eventId) {
+        setImmediate(() => {
+            processOne(events.doc(eventId)).catch(error => {
+                console.error(`Webhook event ${eventId} could not be processed:`, error);
+            });
+        });
+    }
+
+    function schedule() {
+        timer = setTimeout(async () => {
+            await poll();
+            if (timer) {
+                schedule();
+            }
+        }, pollIntervalMs);
+    }
+
+    // Fields for a freshly received event doc
+    function pendingFields() {
+        return {
+            processed: false,
+            queueStatus: 'pending',
+            attempts: 0,
+            nextAttemptAt: Timestamp.now()
+        };
+    }
+
+    return {
+        pendingFields,
+
+        enqueue,
+
+        // Store a delivery and queue it, unless the same event was stored
+        // before. Resolves to { eventKey, status: 'new' | 'replay' }.
+        async receive(event, rawBody) {
+            const eventKey = getWebhookEventKey(event, rawBody);
+            const eventRef = events.doc(eventKey);
+
+            try {
+                await eventRef.create({
+                    ...event,
+                    eventKey,
+                    receivedAt: Timestamp.now(),
+                    ...pendingFields()
+                });
+            } catch (createError) {
+                if (createError.code !== 6) { // ALREADY_EXISTS
+                    throw createError;
+                }
+
+                // Already stored: the queue takes care of retrying it if processing failed
+                console.log(`Duplicate webhook delivery ignored: ${eventKey}`);
+                await eventRef.update({
+                    duplicateCount: FieldValue.increment(1),
+                    lastDuplicateAt: Timestamp.now()
+                });
+                return { eventKey, status: 'replay' };
+            }
+
+            enqueue(eventKey);
+            return { eventKey, status: 'new' };
+        },
+
+        async listDeadLetters({ limit = 50 } = {}) {
+            const snapshot = await deadLetters
+                .orderBy('deadLetteredAt', 'desc')
+                .limit(limit)
+                .get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        // Put a dead-lettered event back on the queue. Returns false if unknown.
+        async replayDeadLetter(id) {
+            const deadLetterRef = deadLetters.doc(id);
+            const deadLetter = await deadLetterRef.get();
+
+            if (!deadLetter.exists) {
+                return false;
+            }
+
+            await events.doc(id).set({
+                ...deadLetter.data().payload,
+                eventKey: id,
+                processed: false,
+                queueStatus: 'pending',
+                attempts: 0,
+                lastError: null,
+                deadLetteredAt: FieldValue.delete(),
+                nextAttemptAt: Timestamp.now()
+            }, { merge: true });
+            await deadLetterRef.delete();
+
+            enqueue(id);
+            return true;
+        },
+
+        start() {
+            if (!timer) {
+                console.log(`📬 Webhook queue started (poll every ${pollIntervalMs}ms, max ${maxAttempts} attempts)`);
+                schedule();
+            }
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
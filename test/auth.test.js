@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, parseApiKeys } from '../middleware/auth.js';
+
+const JWT_WITH_ROLE = 'header.with-role.signature';
+const JWT_WITHOUT_ROLE = 'header.without-role.signature';
+
+async function verifyIdToken(token) {
+    if (token === JWT_WITH_ROLE) {
+        return { uid: 'u1', email: 'agent@clinic.test', role: 'agent' };
+    }
+    if (token === JWT_WITHOUT_ROLE) {
+        return { uid: 'u2', email: 'new@clinic.test' };
+    }
+    throw Object.assign(new Error('invalid token'), { code: 'auth/argument-error' });
+}
+
+// Runs authenticate and requireRole(role); resolves to 'allowed' or the status code
+async function call(auth, role, headers = {}) {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    let status = null;
+    const res = { status: (code) => (status = code, { json: () => {} }) };
+
+    let authenticated = false;
+    await auth.authenticate(req, res, () => (authenticated = true));
+    if (!authenticated) {
+        return status;
+    }
+
+    let allowed = false;
+    auth.requireRole(role)(req, res, () => (allowed = true));
+    return allowed ? 'allowed' : status;
+}
+
+const apiKeys = parseApiKeys('v-key:viewer:dashboard,a-key:agent:booking,x-key:admin:ops');
+
+test('API keys carry their role', async () => {
+    const auth = createAuth({ apiKeys, verifyIdToken });
+
+    assert.equal(await call(auth, 'viewer', { 'x-api-key': 'v-key' }), 'allowed');
+    assert.equal(await call(auth, 'agent', { 'x-api-key': 'v-key' }), 403);
+    assert.equal(await call(auth, 'agent', { authorization: 'Bearer a-key' }), 'allowed');
+    assert.equal(await call(auth, 'admin', { 'x-api-key': 'a-key' }), 403);
+    assert.equal(await call(auth, 'admin', { 'x-api-key': 'x-key' }), 'allowed');
+});
+
+test('missing or invalid credentials are refused', async () => {
+    const auth = createAuth({ apiKeys, verifyIdToken });
+
+    assert.equal(await call(auth, 'viewer'), 401);
+    assert.equal(await call(auth, 'viewer', { 'x-api-key': 'nope' }), 401);
+    assert.equal(await call(auth, 'viewer', { authorization: 'Bearer forged.jwt.token' }), 401);
+});
+
+test('ID tokens without a role claim are denied unless a default role is set', async () => {
+    const auth = createAuth({ apiKeys, verifyIdToken });
+    assert.equal(await call(auth, 'agent', { authorization: `Bearer ${JWT_WITH_ROLE}` }), 'allowed');
+    assert.equal(await call(auth, 'viewer', { authorization: `Bearer ${JWT_WITHOUT_ROLE}` }), 403);
+
+    const withDefault = createAuth({ apiKeys, verifyIdToken, defaultUserRole: 'viewer' });
+    assert.equal(await call(withDefault, 'viewer', { authorization: `Bearer ${JWT_WITHOUT_ROLE}` }), 'allowed');
+    assert.equal(await call(withDefault, 'agent', { authorization: `Bearer ${JWT_WITHOUT_ROLE}` }), 403);
+});
+
+test('unknown roles are configuration errors', () => {
+    assert.throws(() => parseApiKeys('k1:owner:ops'), /unknown role 'owner'/);
+    assert.throws(() => createAuth({ apiKeys, verifyIdToken, defaultUserRole: 'owner' }), /DEFAULT_USER_ROLE/);
+});
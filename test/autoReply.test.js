@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unsafeRepeat, validateRule } from '../services/autoReply.js';
+
+const response = { type: 'text', text: 'Hello!' };
+
+function regexRule(pattern, flags) {
+    return { name: 'booking', match: { type: 'regex', pattern, flags }, response };
+}
+
+test('repeated groups that repeat something are caught', () => {
+    for (const pattern of ['(a+)+', '(\\w+\\s*)*', '((a)+)+', '(x{1,5})+', '(?:ab*)+?']) {
+        assert.equal(unsafeRepeat(pattern), 'nested_quantifier', pattern);
+    }
+    for (const pattern of ['^book', '(a+)?', '[(a+)]+', '\\(a+\\)+', 'a+b*(c){2}', '^(yes|no)$']) {
+        assert.equal(unsafeRepeat(pattern), null, pattern);
+    }
+});
+
+test('repeated groups with alternatives are caught', () => {
+    for (const pattern of ['^(a|a)*$', '(?:yes|no)+', '((a|b)c)*', '(a|ab){30}', '[x]|(a|b)+']) {
+        assert.equal(unsafeRepeat(pattern), 'alternation', pattern);
+    }
+    assert.equal(unsafeRepeat('(a|b)?'), null);
+    assert.equal(unsafeRepeat('[a|b]+'), null);
+});
+
+test('regex rules need a short, safe, valid pattern', () => {
+    assert.equal(validateRule(regexRule('^(book|appointment)')), null);
+    assert.match(validateRule(regexRule(undefined)), /non-empty string/);
+    assert.match(validateRule(regexRule('  ')), /non-empty string/);
+    assert.match(validateRule(regexRule(42)), /non-empty string/);
+    assert.match(validateRule(regexRule('a'.repeat(201))), /limited to 200/);
+    assert.match(validateRule(regexRule('^(a+)+$')), /must not repeat/);
+    assert.match(validateRule(regexRule('^(a|a)*$')), /alternatives/);
+    assert.match(validateRule(regexRule('(')), /not a valid regular expression/);
+    assert.match(validateRule(regexRule('book', 'q')), /not a valid regular expression/);
+});
+
+test('other rules are still validated as before', () => {
+    assert.equal(validateRule({ name: 'hi', match: { type: 'keyword', keywords: ['hi'] }, response }), null);
+    assert.match(validateRule({ name: 'hi', match: { type: 'keyword', keywords: [] }, response }), /keywords/);
+    assert.match(validateRule({ name: 'hi', match: { type: 'first_contact' } }), /response, a startFlow/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createBroadcastService } from '../services/broadcasts.js';
+
+async function runToCompletion(service, id) {
+    service.start();
+    try {
+        while ((await service.getBroadcast(id)).status !== 'completed') {
+            await sleep(10);
+        }
+    } finally {
+        service.stop();
+    }
+    return service.getBroadcast(id, { includeRecipients: true });
+}
+
+test('each recipient is sent to once and failures keep their reason', async () => {
+    const db = createMemoryDatabase();
+    const sent = [];
+    const service = createBroadcastService({
+        db,
+        sendTemplate: async ({ phone }) => {
+            sent.push(phone);
+            if (phone === '27820000002') {
+                throw new Error('Invalid WhatsApp number');
+            }
+            return { messageIds: [`wamid.HBgL/${phone}`] };
+        },
+        ratePerSecond: 1000,
+        pollIntervalMs: 5
+    });
+
+    const { id } = await service.createBroadcast({
+        templateName: 'reminder',
+        recipients: [{ phone: '27820000001' }, { phone: '27820000002' }, { phone: '27820000001' }]
+    });
+    const broadcast = await runToCompletion(service, id);
+
+    assert.deepEqual(sent.sort(), ['27820000001', '27820000002']);
+    assert.equal(broadcast.counts.sent, 1);
+    assert.equal(broadcast.counts.failed, 1);
+    assert.equal(broadcast.recipients.find(recipient => recipient.status === 'failed').error, 'Invalid WhatsApp number');
+
+    // Status webhooks find the recipient through the message id
+    const update = await service.recordMessageStatus(['wamid.HBgL/27820000001'], 'DELIVERED');
+    assert.equal(update.updated, true);
+    assert.equal((await service.getBroadcast(id)).counts.delivered, 1);
+});
+
+test('a failure after the send does not send again', async () => {
+    const memory = createMemoryDatabase();
+    let failWrites = false;
+    const db = {
+        ...memory,
+        batch: () => {
+            if (failWrites) {
+                throw new Error('Firestore unavailable');
+            }
+            return memory.batch();
+        }
+    };
+
+    const sent = [];
+    const service = createBroadcastService({
+        db,
+        sendTemplate: async ({ phone }) => (sent.push(phone), { messageIds: ['wamid.1'] }),
+        ratePerSecond: 1000,
+        pollIntervalMs: 5
+    });
+
+    const { id } = await service.createBroadcast({ templateName: 'reminder', recipients: [{ phone: '27820000001' }] });
+    failWrites = true;
+    const broadcast = await runToCompletion(service, id);
+
+    assert.deepEqual(sent, ['27820000001']);
+    assert.equal(broadcast.recipients[0].status, 'sent');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createConsentService, parseKeywords } from '../services/consent.js';
+
+test('keywords are matched loosely', () => {
+    const consent = createConsentService({ db: createMemoryDatabase() });
+
+    assert.equal(consent.matchKeyword(' Stop. '), 'opted_out');
+    assert.equal(consent.matchKeyword('opt out'), 'opted_out');
+    assert.equal(consent.matchKeyword('START'), 'opted_in');
+    assert.equal(consent.matchKeyword('please stop calling'), null);
+    // A bare "Cancel" to a reminder is about the appointment, not the messages
+    assert.equal(consent.matchKeyword('cancel'), null);
+});
+
+test('operators can configure more keywords', () => {
+    const consent = createConsentService({ db: createMemoryDatabase(), optOutKeywords: parseKeywords('STOP,Cancel') });
+
+    assert.equal(consent.matchKeyword('CANCEL'), 'opted_out');
+    assert.equal(consent.matchKeyword('unsubscribe'), null);
+});
+
+test('inbound keywords opt a number out and back in', async () => {
+    const consent = createConsentService({ db: createMemoryDatabase() });
+
+    const out = await consent.handleInbound({ id: 'm1', waId: '27821234567', type: 'text', text: 'STOP' });
+    assert.equal(out.changed, true);
+    assert.equal((await consent.getOptOut('27821234567')).history[0].keyword, 'STOP');
+
+    // A redelivered webhook does not add a second entry
+    const again = await consent.handleInbound({ id: 'm1', waId: '27821234567', type: 'text', text: 'STOP' });
+    assert.equal(again.changed, false);
+
+    await consent.handleInbound({ id: 'm2', waId: '27821234567', type: 'text', text: 'start' });
+    assert.equal(await consent.getOptOut('27821234567'), null);
+    assert.deepEqual((await consent.getConsent('27821234567')).history.map(entry => entry.status), ['opted_out', 'opted_in']);
+});
+
+test('non-text messages and other text are ignored', async () => {
+    const consent = createConsentService({ db: createMemoryDatabase() });
+
+    assert.equal(await consent.handleInbound({ waId: '27821234567', type: 'image', text: 'STOP' }), null);
+    assert.equal(await consent.handleInbound({ waId: '27821234567', type: 'text', text: 'Hello' }), null);
+    assert.deepEqual(await consent.list(), []);
+});
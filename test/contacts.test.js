@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { Timestamp } from '../services/time.js';
+import { messageDocId } from '../services/messageIds.js';
+import { getServiceWindow, listContacts, markConversationRead, parseContactListQuery, SERVICE_WINDOW_MS, serviceWindow, updateContactFromMessage } from '../services/contacts.js';
+
+const WA_ID = '27821234567';
+
+async function receive(db, id, millis, fields = { seen: false }) {
+    const message = { id, waId: WA_ID, text: id, direction: 'incoming', timestamp: Timestamp.fromMillis(millis), ...fields };
+    await db.collection('whatsapp_messages').doc(messageDocId(id)).set(message);
+    await updateContactFromMessage(db, message);
+}
+
+async function unreadCount(db) {
+    return (await db.collection('contacts').doc(WA_ID).get()).data().unreadCount;
+}
+
+test('inbound messages count as unread until read', async () => {
+    const db = createMemoryDatabase();
+    await receive(db, 'm1', 1000);
+    await receive(db, 'm2', 2000);
+    await receive(db, 'm3', 3000);
+    assert.equal(await unreadCount(db), 3);
+
+    const partial = await markConversationRead(db, WA_ID, { upToMessageId: 'm2' });
+    assert.deepEqual(partial, { markedCount: 2, unreadCount: 1, lastReadMessageId: 'm2' });
+
+    await receive(db, 'm4', 4000);
+    assert.equal(await unreadCount(db), 2);
+
+    assert.equal((await markConversationRead(db, WA_ID)).unreadCount, 0);
+    assert.equal(await unreadCount(db), 0);
+});
+
+test('messages without a seen field count as read', async () => {
+    const db = createMemoryDatabase();
+    await receive(db, 'old1', 1000, {});
+    await receive(db, 'old2', 2000, {});
+    assert.equal(await unreadCount(db), 2);
+
+    const result = await markConversationRead(db, WA_ID);
+    assert.equal(result.markedCount, 0);
+    assert.equal(await unreadCount(db), 0);
+});
+
+test('the read marker is the WATI message id, not the doc id', async () => {
+    const db = createMemoryDatabase();
+    await receive(db, 'wamid.HBgL/1', 1000);
+
+    const result = await markConversationRead(db, WA_ID, { upToMessageId: 'wamid.HBgL/1' });
+    assert.equal(result.lastReadMessageId, 'wamid.HBgL/1');
+    assert.equal((await db.collection('contacts').doc(WA_ID).get()).data().lastReadMessageId, 'wamid.HBgL/1');
+});
+
+test('a message from another conversation cannot be the read marker', async () => {
+    const db = createMemoryDatabase();
+    await receive(db, 'm1', 1000);
+
+    assert.equal(await markConversationRead(db, '27829999999', { upToMessageId: 'm1' }), null);
+});
+
+// Like Firestore without composite indexes: a query that filters and also
+// sorts or searches fails with FAILED_PRECONDITION
+function withoutCompositeIndexes(db) {
+    const wrap = (query, filtered = false, sorted = false) => ({
+        where: (...args) => wrap(query.where(...args), filtered || args[1] === '==' || args[1] === 'array-contains', sorted || ['>=', '<'].includes(args[1])),
+        orderBy: (...args) => wrap(query.orderBy(...args), filtered, true),
+        startAfter: (...args) => wrap(query.startAfter(...args), filtered, sorted),
+        limit: (count) => wrap(query.limit(count), filtered, sorted),
+        doc: (id) => query.doc(id),
+        get: () => filtered && sorted
+            ? Promise.reject(Object.assign(new Error('The query requires an index'), { code: 9 }))
+            : query.get()
+    });
+    return { ...db, collection: (name) => wrap(db.collection(name)) };
+}
+
+async function allPages(db, query) {
+    const waIds = [];
+    let cursor = null;
+    do {
+        const page = await listContacts(db, parseContactListQuery({ ...query, limit: '2', ...(cursor && { cursor }) }));
+        waIds.push(...page.contacts.map(contact => contact.waId));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return waIds;
+}
+
+test('filtered contact lists work without composite indexes', async () => {
+    const db = createMemoryDatabase();
+    const contacts = [
+        ['27820000001', 'Ann', 'open', 'agent-1', ['vip'], 5, 3],
+        ['27820000002', 'Bob', 'open', null, [], 4, 0],
+        ['27820000003', 'Anna', 'resolved', 'agent-1', ['vip'], 3, 1],
+        ['27820000004', 'Cara', 'open', 'agent-1', ['vip'], 2, 2],
+        ['27820000005', 'Andile', 'open', 'agent-1', [], 1, 4]
+    ];
+    for (const [waId, name, conversationStatus, assigneeId, tags, minutes, unreadCount] of contacts) {
+        await db.collection('contacts').doc(waId).set({
+            waId, name, nameLower: name.toLowerCase(), conversationStatus, assigneeId, tags, unreadCount,
+            lastTimestamp: Timestamp.fromMillis(minutes * 60000)
+        });
+    }
+
+    const fallback = withoutCompositeIndexes(db);
+    for (const query of [
+        { status: 'open', sort: 'name' },
+        { assignee: 'agent-1', sort: 'recent' },
+        { assignee: 'agent-1', status: 'open', sort: 'unread' },
+        { tag: 'vip', search: 'an' },
+        { status: 'open', search: '2782000000' }
+    ]) {
+        assert.deepEqual(await allPages(fallback, query), await allPages(db, query), JSON.stringify(query));
+    }
+    assert.deepEqual(await allPages(fallback, { assignee: 'agent-1', sort: 'recent' }), ['27820000001', '27820000003', '27820000004', '27820000005']);
+});
+
+test('the service window opens on inbound messages and lasts 24 hours', async () => {
+    const db = createMemoryDatabase();
+    assert.deepEqual(await getServiceWindow(db, WA_ID), { open: false, lastInboundAt: null, expiresAt: null });
+
+    const now = Date.now();
+    await receive(db, 'in1', now - 2 * 60 * 60 * 1000);
+    const window = await getServiceWindow(db, WA_ID);
+    assert.equal(window.open, true);
+    assert.equal(window.expiresAt, now - 2 * 60 * 60 * 1000 + SERVICE_WINDOW_MS);
+
+    // Closed once 24 hours have passed
+    const data = (await db.collection('contacts').doc(WA_ID).get()).data();
+    assert.equal(serviceWindow(data, window.expiresAt - 1).open, true);
+    assert.equal(serviceWindow(data, window.expiresAt).open, false);
+});
+
+test('only newer inbound messages move the service window', async () => {
+    const db = createMemoryDatabase();
+    const now = Date.now();
+    await receive(db, 'in1', now - 60 * 60 * 1000);
+
+    // Our own replies and late deliveries of older messages do not extend it
+    await receive(db, 'out1', now, { direction: 'outgoing' });
+    await receive(db, 'in0', now - 30 * 60 * 60 * 1000);
+    assert.equal((await getServiceWindow(db, WA_ID)).lastInboundAt, now - 60 * 60 * 1000);
+
+    // An outgoing message alone never opens it
+    await receive(db, 'out2', now, { direction: 'outgoing', waId: '27829999999' });
+    assert.equal((await getServiceWindow(db, '27829999999')).open, false);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createConversationService } from '../services/conversations.js';
+
+const WA_ID = '27821234567';
+const alice = { id: 'alice', name: 'Alice' };
+
+test('a number without a doc has an open, unassigned conversation', async () => {
+    const conversations = createConversationService({ db: createMemoryDatabase() });
+
+    const conversation = await conversations.get(WA_ID);
+    assert.equal(conversation.status, 'open');
+    assert.equal(conversation.assignee, null);
+});
+
+test('assign, transfer and unassign', async () => {
+    const db = createMemoryDatabase();
+    const conversations = createConversationService({ db });
+
+    assert.equal((await conversations.assign(WA_ID, alice, { by: 'admin' })).conversation.assignee.id, 'alice');
+    assert.equal((await conversations.assign(WA_ID, 'bob')).conflict, true);
+
+    const transferred = await conversations.transfer(WA_ID, 'bob', { reason: 'shift change' });
+    assert.equal(transferred.conversation.assignee.id, 'bob');
+    assert.equal(transferred.conversation.history.at(-1).reason, 'shift change');
+
+    await conversations.assign(WA_ID, null);
+    assert.equal((await conversations.get(WA_ID)).assignee, null);
+
+    // Copied onto the contact for GET /api/contacts filters
+    const contact = (await db.collection('contacts').doc(WA_ID).get()).data();
+    assert.equal(contact.assigneeId, null);
+    assert.equal(contact.conversationStatus, 'open');
+});
+
+test('tags are normalized and deduplicated', async () => {
+    const conversations = createConversationService({ db: createMemoryDatabase() });
+
+    await conversations.updateTags(WA_ID, { add: ['Follow Up', 'vip', 'VIP'] });
+    const { conversation } = await conversations.updateTags(WA_ID, { remove: ['vip'] });
+    assert.deepEqual(conversation.tags, ['follow-up']);
+    assert.equal((await conversations.updateTags(WA_ID, { add: 'vip' })).error !== undefined, true);
+});
+
+test('an inbound message reopens a resolved conversation', async () => {
+    const conversations = createConversationService({ db: createMemoryDatabase() });
+
+    await conversations.setStatus(WA_ID, 'resolved');
+    assert.equal((await conversations.get(WA_ID)).status, 'resolved');
+    assert.match((await conversations.setStatus(WA_ID, 'closed')).error, /status/);
+
+    const reopened = await conversations.handleInbound({ id: 'm1', waId: WA_ID });
+    assert.equal(reopened.status, 'open');
+    assert.equal(await conversations.handleInbound({ id: 'm2', waId: WA_ID }), null);
+});
+
+test('notes are listed newest first', async () => {
+    const conversations = createConversationService({ db: createMemoryDatabase() });
+
+    await conversations.addNote(WA_ID, 'first', { by: alice });
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await conversations.addNote(WA_ID, 'second', { by: alice });
+    assert.match((await conversations.addNote(WA_ID, '   ')).error, /text/);
+
+    assert.deepEqual((await conversations.listNotes(WA_ID)).map(note => note.text), ['second', 'first']);
+});
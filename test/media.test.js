@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkMediaUrl, classifyMedia, fetchRemoteMedia, isPublicAddress } from '../services/media.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]);
+const PDF = Buffer.from('%PDF-1.7\n');
+
+test('only public addresses can be downloaded from', () => {
+    for (const address of ['8.8.8.8', '102.132.96.35', '2a03:2880:f12f:83:face:b00c:0:25de']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'localhost']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+});
+
+test('media URLs must be https and not name a private address', () => {
+    assert.equal(checkMediaUrl('https://example.com/a.png').hostname, 'example.com');
+    assert.throws(() => checkMediaUrl('http://example.com/a.png'), /Only https/);
+    assert.throws(() => checkMediaUrl('file:///etc/passwd'), /Only https/);
+    assert.throws(() => checkMediaUrl('not a url'), /Invalid url/);
+    assert.throws(() => checkMediaUrl('https://169.254.169.254/latest/meta-data'), /not a public address/);
+    assert.throws(() => checkMediaUrl('https://[::1]/a.png'), /not a public address/);
+    assert.throws(() => checkMediaUrl('https://[::ffff:10.0.0.1]/a.png'), /not a public address/);
+});
+
+test('hostnames are checked when connecting', async () => {
+    await assert.rejects(fetchRemoteMedia('https://localhost/a.png'), /not a public address/);
+});
+
+test('file content has to match the claimed type', () => {
+    assert.deepEqual(classifyMedia('image/png', PNG.length, PNG), { type: 'image', mimeType: 'image/png' });
+    assert.deepEqual(classifyMedia('application/pdf; charset=binary', PDF.length, PDF), { type: 'document', mimeType: 'application/pdf' });
+    assert.match(classifyMedia('image/jpeg', PNG.length, PNG).error, /not image\/jpeg/);
+    assert.match(classifyMedia('image/png', PDF.length, PDF).error, /not image\/png/);
+    assert.match(classifyMedia('text/plain', PNG.length, PNG).error, /not text\/plain/);
+    assert.match(classifyMedia('application/x-msdownload', 10).error, /Unsupported media type/);
+});
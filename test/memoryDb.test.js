@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { FieldValue } from '../services/database.js';
+
+test('set, merge and update round-trip through get', async () => {
+    const db = createMemoryDatabase();
+    const ref = db.collection('contacts').doc('27821234567');
+
+    await ref.set({ name: 'Thandi', unreadCount: 1 });
+    await ref.set({ tags: ['vip'] }, { merge: true });
+    await ref.update({ unreadCount: FieldValue.increment(2), 'profile.city': 'Durban' });
+
+    const doc = await ref.get();
+    assert.equal(doc.exists, true);
+    assert.deepEqual(doc.data(), { name: 'Thandi', unreadCount: 3, tags: ['vip'], profile: { city: 'Durban' } });
+});
+
+test('create refuses an existing doc and update a missing one', async () => {
+    const db = createMemoryDatabase();
+    const ref = db.collection('contacts').doc('a');
+
+    await ref.create({ n: 1 });
+    await assert.rejects(ref.create({ n: 2 }), { code: 6 });
+    await assert.rejects(db.collection('contacts').doc('b').update({ n: 1 }), { code: 5 });
+});
+
+test('document ids cannot be empty or contain "/"', () => {
+    const db = createMemoryDatabase();
+
+    assert.throws(() => db.collection('whatsapp_messages').doc('wamid.HBgL/abc=='), { code: 3 });
+    assert.throws(() => db.collection('whatsapp_messages').doc(''), { code: 3 });
+    assert.ok(db.collection('whatsapp_messages').doc().id);
+});
+
+test('queries filter, order and page', async () => {
+    const db = createMemoryDatabase();
+    const contacts = db.collection('contacts');
+    for (const [id, count] of [['a', 3], ['b', 1], ['c', 2], ['d', 0]]) {
+        await contacts.doc(id).set({ count, open: count > 0 });
+    }
+
+    const first = await contacts.where('open', '==', true).orderBy('count', 'desc').limit(2).get();
+    assert.deepEqual(first.docs.map(doc => doc.id), ['a', 'c']);
+
+    const next = await contacts.where('open', '==', true).orderBy('count', 'desc').startAfter(first.docs[1]).get();
+    assert.deepEqual(next.docs.map(doc => doc.id), ['b']);
+});
+
+test('a failed transaction writes nothing', async () => {
+    const db = createMemoryDatabase();
+    const ref = db.collection('contacts').doc('a');
+
+    await assert.rejects(db.runTransaction(async (transaction) => {
+        transaction.set(ref, { n: 1 });
+        throw new Error('abort');
+    }), /abort/);
+    assert.equal((await ref.get()).exists, false);
+});
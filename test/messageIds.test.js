@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { indexMessageIds, messageDocId, messageIdsOf, resolveMessageId } from '../services/messageIds.js';
+import { applyMessageStatus } from '../services/messageStatus.js';
+
+const SLASH_ID = 'wamid.HBgL/abc==';
+
+test('doc ids replace "/" and leave other ids alone', () => {
+    assert.equal(messageDocId(SLASH_ID), 'wamid.HBgL%2Fabc==');
+    assert.equal(messageDocId(messageDocId(SLASH_ID)), 'wamid.HBgL%2Fabc==');
+    assert.equal(messageDocId('wamid.HBgLabc+=='), 'wamid.HBgLabc+==');
+});
+
+test('an event carries its ids most specific first, without duplicates', () => {
+    assert.deepEqual(messageIdsOf({ id: 'a', whatsappMessageId: 'b', localMessageId: 'a' }), ['a', 'b']);
+});
+
+test('a status for an id containing "/" is stored and found again', async () => {
+    const db = createMemoryDatabase();
+
+    const transition = await applyMessageStatus(db, SLASH_ID, 'sent', { placeholder: { waId: '27821234567' } });
+    assert.equal(transition.accepted, true);
+
+    // Found without an index entry (messages stored before the index existed)
+    assert.equal(await resolveMessageId(db, [SLASH_ID]), messageDocId(SLASH_ID));
+    assert.equal((await applyMessageStatus(db, SLASH_ID, 'delivered')).from, 'sent');
+});
+
+test('indexed ids resolve to the message they were sent as', async () => {
+    const db = createMemoryDatabase();
+
+    await indexMessageIds(db, 'local-1', [SLASH_ID, 'local-1']);
+    assert.equal(await resolveMessageId(db, ['unknown', SLASH_ID]), 'local-1');
+    assert.equal(await resolveMessageId(db, ['unknown/too']), null);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { applyMessageStatus, canTransition } from '../services/messageStatus.js';
+
+test('statuses only move forward', () => {
+    assert.equal(canTransition(null, 'delivered'), true);
+    assert.equal(canTransition('sent', 'delivered'), true);
+    assert.equal(canTransition('read', 'delivered'), false);
+    assert.equal(canTransition('delivered', 'failed'), false);
+    assert.equal(canTransition('sent', 'failed'), true);
+    assert.equal(canTransition('failed', 'read'), false);
+    assert.equal(canTransition('read', 'deleted'), true);
+});
+
+test('applyMessageStatus records accepted transitions and ignores late ones', async () => {
+    const db = createMemoryDatabase();
+
+    assert.equal((await applyMessageStatus(db, 'm1', 'sent', { placeholder: { waId: '27821234567' } })).accepted, true);
+    assert.equal((await applyMessageStatus(db, 'm1', 'read')).accepted, true);
+
+    const late = await applyMessageStatus(db, 'm1', 'delivered', { fields: { channelNumber: '27770000000' } });
+    assert.deepEqual({ accepted: late.accepted, from: late.from, waId: late.waId }, { accepted: false, from: 'read', waId: '27821234567' });
+
+    // A rejected transition writes nothing
+    const data = (await db.collection('whatsapp_messages').doc('m1').get()).data();
+    assert.equal(data.status, 'read');
+    assert.equal(data.channelNumber, undefined);
+    assert.deepEqual(data.statusHistory.map(entry => entry.to), ['sent', 'read']);
+});
+
+test('the placeholder only fills in fields a stored message lacks', async () => {
+    const db = createMemoryDatabase();
+    await db.collection('whatsapp_messages').doc('m1').set({ waId: '27821234567', type: 'image', status: 'sent' });
+
+    const transition = await applyMessageStatus(db, 'm1', 'delivered', {
+        placeholder: { type: 'session', text: 'hello' },
+        fields: { channelNumber: '27770000000' }
+    });
+
+    assert.equal(transition.accepted, true);
+    const data = (await db.collection('whatsapp_messages').doc('m1').get()).data();
+    assert.deepEqual(transition.message, data);
+    assert.deepEqual({ type: data.type, text: data.text, channelNumber: data.channelNumber, status: data.status },
+        { type: 'image', text: 'hello', channelNumber: '27770000000', status: 'delivered' });
+});
+
+test('applyMessageStatus rejects unknown statuses', async () => {
+    await assert.rejects(applyMessageStatus(createMemoryDatabase(), 'm1', 'bounced'), /Unknown message status/);
+});
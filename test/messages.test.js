@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { Timestamp } from '../services/time.js';
+import { listMessages, parseMessageListQuery } from '../services/messages.js';
+
+const WA_ID = '27821234567';
+const BASE_SECONDS = Date.UTC(2026, 0, 1) / 1000;
+
+// Timestamps in query strings are Unix seconds, like WATI's
+const at = (second) => String(BASE_SECONDS + second);
+
+// m1..m7, one second apart; every third one outgoing
+async function seed() {
+    const db = createMemoryDatabase();
+    for (let i = 1; i <= 7; i++) {
+        await db.collection('whatsapp_messages').doc(`m${i}`).set({
+            waId: WA_ID,
+            text: `message ${i}`,
+            type: 'text',
+            direction: i % 3 === 0 ? 'outgoing' : 'incoming',
+            status: 'delivered',
+            timestamp: Timestamp.fromMillis((BASE_SECONDS + i) * 1000)
+        });
+    }
+    await db.collection('whatsapp_messages').doc('other').set({
+        waId: '27829999999', text: 'someone else', direction: 'incoming', timestamp: Timestamp.fromMillis((BASE_SECONDS + 4) * 1000)
+    });
+    return db;
+}
+
+// Every query fails the way Firestore does while a composite index is missing
+function withoutIndexes(db) {
+    const wrap = (query, ordered = false) => ({
+        where: (...args) => wrap(query.where(...args), ordered),
+        orderBy: (...args) => wrap(query.orderBy(...args), true),
+        startAfter: (...args) => wrap(query.startAfter(...args), ordered),
+        limit: (count) => wrap(query.limit(count), ordered),
+        doc: (id) => query.doc(id),
+        get: () => ordered
+            ? Promise.reject(Object.assign(new Error('The query requires an index'), { code: 9 }))
+            : query.get()
+    });
+    return { ...db, collection: (name) => wrap(db.collection(name)) };
+}
+
+async function page(db, query) {
+    const result = await listMessages(db, WA_ID, parseMessageListQuery(query));
+    return { ...result, messages: result.messages.map(message => message.id) };
+}
+
+test('query validation', () => {
+    assert.match(parseMessageListQuery({ before: 'm1', after: 'm2' }).error, /either 'before' or 'after'/);
+    assert.match(parseMessageListQuery({ limit: '0' }).error, /'limit'/);
+    assert.match(parseMessageListQuery({ from: 'yesterday' }).error, /'from' and 'to'/);
+    assert.equal(parseMessageListQuery({ limit: '1000' }).limit, 200);
+    assert.deepEqual(parseMessageListQuery({ direction: 'INCOMING' }).filters, { direction: 'incoming' });
+});
+
+for (const [name, wrapDb] of [['indexed query', db => db], ['fallback without indexes', withoutIndexes]]) {
+    test(`pages walk back from the newest message and forward again (${name})`, async () => {
+        const db = wrapDb(await seed());
+
+        const latest = await page(db, { limit: '3' });
+        assert.deepEqual(latest.messages, ['m5', 'm6', 'm7']);
+        assert.equal(latest.prevCursor, 'm5');
+        assert.equal(latest.nextCursor, null);
+
+        const older = await page(db, { limit: '3', before: latest.prevCursor });
+        assert.deepEqual(older.messages, ['m2', 'm3', 'm4']);
+        assert.equal(older.nextCursor, 'm4');
+
+        const oldest = await page(db, { limit: '3', before: older.prevCursor });
+        assert.deepEqual(oldest.messages, ['m1']);
+        assert.equal(oldest.prevCursor, null);
+        assert.equal(oldest.hasMore, false);
+
+        const newer = await page(db, { limit: '3', after: older.nextCursor });
+        assert.deepEqual(newer.messages, ['m5', 'm6', 'm7']);
+        assert.equal(newer.nextCursor, null);
+    });
+
+    test(`filters and date ranges (${name})`, async () => {
+        const db = wrapDb(await seed());
+
+        assert.deepEqual((await page(db, { direction: 'outgoing' })).messages, ['m3', 'm6']);
+        assert.deepEqual((await page(db, { from: at(2), to: new Date((BASE_SECONDS + 4) * 1000).toISOString() })).messages, ['m2', 'm3', 'm4']);
+        assert.deepEqual((await page(db, { direction: 'incoming', before: at(5), limit: '2' })).messages, ['m2', 'm4']);
+        assert.deepEqual((await page(db, { status: 'read' })).messages, []);
+    });
+}
+
+test('an unknown cursor message resolves to null', async () => {
+    const db = await seed();
+    assert.equal(await listMessages(db, WA_ID, parseMessageListQuery({ before: 'missing' })), null);
+});
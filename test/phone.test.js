@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, normalizeWaId } from '../services/phone.js';
+
+test('typed numbers are read as national numbers first', () => {
+    assert.equal(normalizePhone('077 253 8155', { defaultCountry: 'ZA' }).waId, '27772538155');
+    assert.equal(normalizePhone('+27 77 253 8155').waId, '27772538155');
+    assert.equal(normalizePhone('0027772538155').waId, '27772538155');
+    assert.match(normalizePhone('abc').error, /only digits/);
+});
+
+test('waIds are read as international numbers first', () => {
+    // An Andorran waId that is also a valid South African national number
+    assert.equal(normalizePhone('376312345', { defaultCountry: 'ZA' }).waId, '27376312345');
+    assert.equal(normalizeWaId('376312345'), '376312345');
+    assert.equal(normalizeWaId('27772538155'), '27772538155');
+    assert.equal(normalizeWaId('+27 77 253 8155'), '27772538155');
+    // Stored national numbers still resolve
+    assert.equal(normalizeWaId('0772538155'), '27772538155');
+    assert.equal(normalizeWaId('12'), '12');
+});
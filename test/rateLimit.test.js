@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createFirestoreStore, createMemoryStore, createRateLimiter, parseLimit } from '../middleware/rateLimit.js';
+
+test('limits are "<count>/<seconds>", per minute by default', () => {
+    assert.deepEqual(parseLimit('10/30'), { limit: 10, windowMs: 30000 });
+    assert.deepEqual(parseLimit('5'), { limit: 5, windowMs: 60000 });
+    assert.equal(parseLimit(''), null);
+    assert.throws(() => parseLimit('abc'), /Invalid rate limit/);
+});
+
+for (const [backend, createStore] of [['memory', () => createMemoryStore()], ['firestore', () => createFirestoreStore(createMemoryDatabase())]]) {
+    test(`a refunded hit does not count (${backend} store)`, async () => {
+        const limiter = createRateLimiter({
+            store: createStore(),
+            rules: { templateDaily: { limit: 2, windowMs: 60000, key: () => null } }
+        });
+
+        const first = await limiter.consume('templateDaily', 'clinic:27821234567');
+        await limiter.refund('templateDaily', 'clinic:27821234567', first);
+        assert.equal((await limiter.consume('templateDaily', 'clinic:27821234567')).remaining, 1);
+        assert.equal((await limiter.consume('templateDaily', 'clinic:27821234567')).allowed, true);
+        assert.equal((await limiter.consume('templateDaily', 'clinic:27821234567')).allowed, false);
+    });
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { createRealtimeHub } from '../services/realtime.js';
+
+async function startHub() {
+    const httpServer = http.createServer();
+    const hub = createRealtimeHub({ httpServer, authenticate: async () => ({ tenantId: 'clinic-a' }) });
+    httpServer.listen(0);
+    await once(httpServer, 'listening');
+
+    return {
+        hub,
+        url: `ws://localhost:${httpServer.address().port}/realtime`,
+        async close() {
+            hub.close();
+            httpServer.close();
+        }
+    };
+}
+
+// The first `count` messages a client receives after connecting to `query`
+async function receive(url, query, count) {
+    const ws = new WebSocket(`${url}?${query}`);
+    const messages = [];
+    await new Promise((resolve, reject) => {
+        ws.on('message', (raw) => {
+            messages.push(JSON.parse(raw.toString()));
+            if (messages.length === count) {
+                resolve();
+            }
+        });
+        ws.on('error', reject);
+    });
+    ws.close();
+    return messages;
+}
+
+test('a client resuming in the same epoch gets the events it missed', async () => {
+    const { hub, url, close } = await startHub();
+    try {
+        const [connected] = await receive(url, 'token=t', 1);
+        hub.publish('message.created', '27821234567', { id: 'm1' }, { tenantId: 'clinic-a' });
+        hub.publish('message.created', '27821234567', { id: 'm2' }, { tenantId: 'clinic-b' });
+        hub.publish('message.status', '27821234567', { id: 'm1' }, { tenantId: 'clinic-a' });
+
+        const [, ...replayed] = await receive(url, `token=t&since=${connected.seq}&epoch=${connected.epoch}`, 3);
+        assert.deepEqual(replayed.map(event => [event.seq, event.type, event.epoch]), [
+            [1, 'message.created', connected.epoch],
+            [3, 'message.status', connected.epoch]
+        ]);
+    } finally {
+        await close();
+    }
+});
+
+test('a cursor from before a restart asks the client to resync', async () => {
+    const { hub, url, close } = await startHub();
+    try {
+        hub.publish('message.created', '27821234567', { id: 'm1' });
+
+        const [, otherEpoch] = await receive(url, 'token=t&since=0&epoch=previous-run', 2);
+        assert.equal(otherEpoch.type, 'resync_required');
+        assert.equal(otherEpoch.reason, 'restarted');
+
+        const [connected, ahead] = await receive(url, 'token=t&since=500', 2);
+        assert.equal(ahead.type, 'resync_required');
+        assert.equal(ahead.epoch, connected.epoch);
+    } finally {
+        await close();
+    }
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { Timestamp } from '../services/time.js';
+import { createScheduledMessageService, parseDuration, parseTime, validateSchedule } from '../services/scheduledMessages.js';
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0);
+
+test('local times are read in the schedule timezone', () => {
+    assert.equal(parseTime('2026-03-01T09:00', 'Africa/Johannesburg'), Date.UTC(2026, 2, 1, 7, 0));
+    assert.equal(parseTime('2026-03-01T09:00:00Z', 'Africa/Johannesburg'), Date.UTC(2026, 2, 1, 9, 0));
+    assert.equal(parseTime('tomorrow', 'UTC'), null);
+    assert.equal(parseDuration('24h'), 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('1y'), null);
+});
+
+test('one-off and relative schedules must be in the future', () => {
+    assert.equal(validateSchedule({ sendAt: NOW + 60000 }, NOW).nextRunAt, NOW + 60000);
+    assert.match(validateSchedule({ sendAt: NOW - 3600000 }, NOW).error, /past/);
+
+    const relative = validateSchedule({ type: 'relative', eventAt: NOW + 2 * 86400000, before: '24h' }, NOW);
+    assert.equal(relative.nextRunAt, NOW + 86400000);
+    assert.match(validateSchedule({ type: 'relative', eventAt: NOW, before: '1h', after: '1h' }, NOW).error, /either/);
+});
+
+test('recurring schedules keep their local time across DST', () => {
+    const { schedule, nextRunAt, occurrence } = validateSchedule({
+        type: 'recurring',
+        startAt: '2026-03-07T09:00',
+        every: 'day',
+        timezone: 'Europe/London'
+    }, Date.UTC(2026, 2, 7));
+
+    assert.equal(occurrence, 0);
+    assert.equal(nextRunAt, Date.UTC(2026, 2, 7, 9, 0));
+    assert.equal(schedule.every, 'day');
+
+    // British Summer Time starts on 29 March 2026
+    const afterChange = validateSchedule(schedule, Date.UTC(2026, 2, 30));
+    assert.equal(afterChange.nextRunAt, Date.UTC(2026, 2, 30, 8, 0));
+});
+
+test('monthly schedules clamp to the end of short months', () => {
+    const { nextRunAt } = validateSchedule({
+        type: 'recurring',
+        startAt: '2026-01-31T10:00',
+        every: 'month',
+        timezone: 'UTC'
+    }, Date.UTC(2026, 1, 1));
+    assert.equal(nextRunAt, Date.UTC(2026, 1, 28, 10, 0));
+});
+
+test('a schedule that started long ago jumps to its next occurrence', () => {
+    const started = Date.now();
+    const { nextRunAt, occurrence } = validateSchedule({ type: 'recurring', startAt: 0, every: 'day', timezone: 'UTC' }, NOW);
+
+    assert.ok(Date.now() - started < 500);
+    assert.equal(nextRunAt, Date.UTC(2026, 0, 16, 0, 0));
+    assert.equal(occurrence, 20469);
+
+    const monthly = validateSchedule({ type: 'recurring', startAt: '1970-01-31T10:00', every: 'month', interval: 5, timezone: 'UTC' }, NOW);
+    assert.equal(monthly.nextRunAt, Date.UTC(2026, 3, 30, 10, 0));
+});
+
+test('a finished recurrence has no next occurrence', () => {
+    const result = validateSchedule({ type: 'recurring', startAt: NOW - 10 * 86400000, every: 'day', count: 3 }, NOW);
+    assert.match(result.error, /no occurrences/);
+});
+
+test('a due job is sent once and its outcome recorded', async () => {
+    const db = createMemoryDatabase();
+    const sent = [];
+    const service = createScheduledMessageService({
+        db,
+        send: async (job) => (sent.push(job.phone), { messageId: 'wamid.1' }),
+        pollIntervalMs: 5
+    });
+
+    const job = await service.create({ phone: '27821234567', text: 'Reminder', sendAt: Date.now() });
+    assert.equal(job.status, 'scheduled');
+
+    service.start();
+    try {
+        while ((await service.get(job.id)).status === 'scheduled') {
+            await sleep(10);
+        }
+    } finally {
+        service.stop();
+    }
+
+    const done = await service.get(job.id);
+    assert.equal(done.status, 'sent');
+    assert.equal(done.lastRun.messageId, 'wamid.1');
+    assert.deepEqual(sent, ['27821234567']);
+});
+
+test('a job picked up after its grace period is marked missed, not sent', async () => {
+    const db = createMemoryDatabase();
+    const sent = [];
+    const service = createScheduledMessageService({
+        db,
+        send: async (job) => (sent.push(job.phone), { messageId: 'wamid.1' }),
+        pollIntervalMs: 5,
+        graceMs: 1000
+    });
+
+    const job = await service.create({ phone: '27821234567', text: 'Reminder', sendAt: Date.now() });
+    await db.collection('scheduled_messages').doc(job.id).update({ nextRunAt: Timestamp.fromMillis(Date.now() - 60000) });
+
+    service.start();
+    try {
+        while ((await service.get(job.id)).status === 'scheduled') {
+            await sleep(10);
+        }
+    } finally {
+        service.stop();
+    }
+
+    assert.equal((await service.get(job.id)).status, 'missed');
+    assert.deepEqual(sent, []);
+});
+
+test('only scheduled jobs can be changed', async () => {
+    const db = createMemoryDatabase();
+    const service = createScheduledMessageService({ db, send: async () => ({}) });
+
+    const job = await service.create({ phone: '27821234567', text: 'Reminder', sendAt: Date.now() + 3600000 });
+    assert.equal((await service.update(job.id, { text: 'Updated' })).message.text, 'Updated');
+    assert.equal((await service.cancel(job.id)).status, 'cancelled');
+    assert.equal((await service.update(job.id, { text: 'Again' })).conflict, true);
+    assert.equal(await service.update('missing', { text: 'Again' }), null);
+});
+
+test('every save checks the message, parameter-only edits included', async () => {
+    const checked = [];
+    const service = createScheduledMessageService({
+        db: createMemoryDatabase(),
+        send: async () => ({ messageId: 'wamid.1' }),
+        checkMessage: async (message) => {
+            checked.push(message);
+            const names = message.parameters.map(param => param.name);
+            return names.includes('time') ? null : { error: 'Missing template parameters: time', missingParameters: ['time'] };
+        }
+    });
+
+    const rejected = await service.create({ phone: '27821234567', templateName: 'reminder', parameters: { name: 'Ann' }, sendAt: Date.now() + 3600000 });
+    assert.deepEqual(rejected.missingParameters, ['time']);
+
+    const job = await service.create({ phone: '27821234567', templateName: 'reminder', parameters: { name: 'Ann', time: '09:00' }, sendAt: Date.now() + 3600000 });
+    assert.equal(job.status, 'scheduled');
+
+    const edit = await service.update(job.id, { parameters: { name: 'Ann' } });
+    assert.match(edit.error, /time/);
+    assert.equal(checked.at(-1).templateName, 'reminder');
+    // The job keeps its old parameters
+    assert.deepEqual((await service.get(job.id)).message.parameters, job.message.parameters);
+});
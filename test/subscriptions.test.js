@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createSubscriptionService, normalizeEvent, signPayload, validateSubscription } from '../services/subscriptions.js';
+
+const SECRET = 'subscriber-secret-0123456789';
+
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out');
+        }
+        await sleep(10);
+    }
+}
+
+// A local subscriber endpoint answering with `status`; records every request
+async function startSubscriber(status = 200) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(status).end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+}
+
+function verifySignature(header, body, secret) {
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    return v1 === expected;
+}
+
+test('subscriptions are validated', () => {
+    assert.equal(validateSubscription({ url: 'ftp://example.test', eventTypes: ['*'] }), 'url must be http(s)');
+    assert.equal(validateSubscription({ url: 'not a url', eventTypes: ['*'] }), 'url must be a valid URL');
+    assert.equal(validateSubscription({ url: 'https://example.test', eventTypes: [] }), 'eventTypes must be a non-empty array');
+    assert.match(validateSubscription({ url: 'https://example.test', eventTypes: ['message.exploded'] }), /Unknown eventTypes: message.exploded/);
+    assert.equal(validateSubscription({ url: 'https://example.test', eventTypes: ['*'], secret: 'short' }), 'secret must be at least 16 characters');
+    assert.equal(validateSubscription({ url: 'https://example.test', eventTypes: ['message.read'] }), null);
+});
+
+test('WATI events are normalized and unknown ones dropped', () => {
+    const payload = normalizeEvent('sentMessageREAD_v2_wamid.1', { eventType: 'sentMessageREAD_v2', id: 'wamid.1', waId: '27821234567' }, { transition: { to: 'read' } });
+    assert.equal(payload.id, 'sentMessageREAD_v2_wamid.1');
+    assert.equal(payload.type, 'message.read');
+    assert.equal(payload.data.status, 'read');
+    assert.equal(payload.data.waId, '27821234567');
+    assert.equal(normalizeEvent('x', { eventType: 'newContactMessageReceived' }), null);
+});
+
+test('matching subscribers get a signed delivery', async () => {
+    const db = createMemoryDatabase();
+    const service = createSubscriptionService({ db, baseDelayMs: 1 });
+    const reads = await startSubscriber();
+    const everything = await startSubscriber();
+
+    try {
+        const created = await service.create({ url: reads.url, eventTypes: ['message.read'], secret: SECRET });
+        assert.equal(created.secret, SECRET);
+        assert.equal((await service.list())[0].secret, undefined);
+        await service.create({ url: everything.url, eventTypes: ['*'] });
+
+        service.dispatch('message_wamid.2', { eventType: 'message', id: 'wamid.2', waId: '27821234567', text: 'hi' }, {});
+        service.dispatch('sentMessageREAD_wamid.1', { eventType: 'sentMessageREAD', id: 'wamid.1', waId: '27821234567' }, { transition: { to: 'read' } });
+        await waitFor(() => reads.requests.length === 1 && everything.requests.length === 2);
+
+        const [request] = reads.requests;
+        assert.equal(JSON.parse(request.body).type, 'message.read');
+        assert.equal(request.headers['x-webhook-id'], 'sentMessageREAD_wamid.1');
+        assert.ok(verifySignature(request.headers['x-webhook-signature'], request.body, SECRET));
+        assert.ok(!verifySignature(request.headers['x-webhook-signature'], request.body, 'another-secret-0123456789'));
+
+        await waitFor(async () => (await service.listDeliveries(created.id))[0]?.status === 'delivered');
+    } finally {
+        reads.close();
+        everything.close();
+    }
+});
+
+test('failing deliveries are retried, then the subscription is disabled', async () => {
+    const db = createMemoryDatabase();
+    const service = createSubscriptionService({ db, maxAttempts: 2, baseDelayMs: 1, disableAfterFailures: 2 });
+    const broken = await startSubscriber(500);
+
+    try {
+        const { id } = await service.create({ url: broken.url, eventTypes: ['*'] });
+        const event = { eventType: 'message', id: 'wamid.3', waId: '27821234567' };
+
+        service.dispatch('message_wamid.3', event, {});
+        await waitFor(async () => (await service.list())[0].consecutiveFailures === 1);
+        assert.equal(broken.requests.length, 2);
+        const [delivery] = await service.listDeliveries(id);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.lastError, 'HTTP 500');
+
+        service.dispatch('message_wamid.3', event, {});
+        await waitFor(async () => (await service.list())[0].enabled === false);
+        assert.match((await service.list())[0].disabledReason, /2 consecutive failed deliveries/);
+
+        // Disabled subscriptions get nothing
+        service.dispatch('message_wamid.4', { ...event, id: 'wamid.4' }, {});
+        await sleep(50);
+        assert.equal(broken.requests.length, 4);
+    } finally {
+        broken.close();
+    }
+});
+
+test('signatures cover the timestamp and the body', () => {
+    assert.equal(signPayload(SECRET, '{}', 1700000000), signPayload(SECRET, '{}', 1700000000));
+    assert.notEqual(signPayload(SECRET, '{}', 1700000000), signPayload(SECRET, '{}', 1700000001));
+    assert.match(signPayload(SECRET, '{}', 1700000000), /^t=1700000000,v1=[0-9a-f]{64}$/);
+});
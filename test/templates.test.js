@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTemplateCatalogue, extractPlaceholders, normalizeParameters, renderTemplate } from '../services/templates.js';
+
+const WATI_TEMPLATES = [
+    { elementName: 'appointment_reminder', status: 'APPROVED', category: 'UTILITY', language: { value: 'en' }, body: 'Hi {{name}}, see you on {{ date }}. Reply to {{name}} if needed.' },
+    { elementName: 'promo', status: 'PENDING', body: 'Sale!' },
+    { elementName: 'welcome', status: 'approved', bodyOriginal: 'Welcome to the clinic' }
+];
+
+function createCatalogue(fetchTemplates = async () => WATI_TEMPLATES) {
+    let fetches = 0;
+    const catalogue = createTemplateCatalogue({
+        fetchTemplates: async () => (fetches++, fetchTemplates()),
+        ttlMs: 60 * 1000
+    });
+    return { catalogue, fetches: () => fetches };
+}
+
+test('placeholders and parameters', () => {
+    assert.deepEqual(extractPlaceholders(WATI_TEMPLATES[0].body), ['name', 'date']);
+    assert.deepEqual(normalizeParameters({ name: 'Thandi', visits: 3 }), [{ name: 'name', value: 'Thandi' }, { name: 'visits', value: '3' }]);
+    assert.deepEqual(normalizeParameters([{ name: 'name', value: 'Thandi' }, { value: 'no name' }]), [{ name: 'name', value: 'Thandi' }]);
+    assert.equal(normalizeParameters('Thandi'), null);
+    assert.equal(renderTemplate('Hi {{name}}, {{missing}}', [{ name: 'name', value: 'Thandi' }]), 'Hi Thandi, {{missing}}');
+});
+
+test('only approved templates are listed, and the list is cached', async () => {
+    const { catalogue, fetches } = createCatalogue();
+
+    const templates = await catalogue.list();
+    assert.deepEqual(templates.map(template => template.name), ['appointment_reminder', 'welcome']);
+    assert.equal(templates[0].language, 'en');
+    assert.equal(templates[1].body, 'Welcome to the clinic');
+
+    await catalogue.list();
+    assert.equal(fetches(), 1);
+    await catalogue.list({ refresh: true });
+    assert.equal(fetches(), 2);
+});
+
+test('a failed refresh serves the cached list', async () => {
+    let fail = false;
+    const { catalogue } = createCatalogue(async () => {
+        if (fail) {
+            throw new Error('WATI unavailable');
+        }
+        return WATI_TEMPLATES;
+    });
+
+    await assert.rejects(createCatalogue(async () => { throw new Error('WATI unavailable'); }).catalogue.list(), /WATI unavailable/);
+
+    await catalogue.list();
+    fail = true;
+    assert.equal((await catalogue.list({ refresh: true })).length, 2);
+});
+
+test('prepare checks the template and its parameters before sending', async () => {
+    const { catalogue } = createCatalogue();
+
+    assert.match((await catalogue.prepare('promo', {})).error, /'promo' does not exist or is not approved/);
+    assert.match((await catalogue.prepare('appointment_reminder', 'Thandi')).error, /'parameters' must be/);
+
+    const missing = await catalogue.prepare('appointment_reminder', { name: 'Thandi' });
+    assert.equal(missing.error, 'Missing template parameters: date');
+    assert.deepEqual(missing.missing, ['date']);
+
+    const prepared = await catalogue.prepare('appointment_reminder', [{ name: 'name', value: 'Thandi' }, { name: 'date', value: 'Monday' }]);
+    assert.equal(prepared.error, undefined);
+    assert.equal(prepared.text, 'Hi Thandi, see you on Monday. Reply to Thandi if needed.');
+    assert.equal(prepared.template.name, 'appointment_reminder');
+});
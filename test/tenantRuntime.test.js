@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createMemoryStore, createRateLimiter } from '../middleware/rateLimit.js';
+import { loadTenants } from '../services/tenants.js';
+import { createTenantRuntime } from '../services/tenantRuntime.js';
+import { formatMessage } from '../services/messages.js';
+
+const WA_ID = '27821234567';
+
+function createRuntime(db = createMemoryDatabase()) {
+    const [tenant] = loadTenants({
+        WATI_BASE_URL: 'https://wati.invalid',
+        WATI_CHANNEL_NUMBER: '27770000000',
+        WATI_WEBHOOK_SECRETS: 'secret'
+    }).tenants;
+    const published = [];
+    const files = new Map();
+
+    const runtime = createTenantRuntime({
+        tenant,
+        db,
+        realtime: { publish: (type, waId, data) => published.push({ type, waId, data }) },
+        mediaStorage: {
+            name: 'test',
+            exists: async (key) => files.has(key),
+            save: async (key, buffer) => files.set(key, buffer)
+        },
+        rateLimiter: createRateLimiter({ store: createMemoryStore(), rules: {} })
+    });
+    return { runtime, db, published, files };
+}
+
+async function storedMessage(db, id) {
+    const doc = await db.collection('whatsapp_messages').doc(id).get();
+    return doc.exists ? formatMessage(doc.id, doc.data()) : null;
+}
+
+test('the sent echo of a media message does not overwrite it', async () => {
+    const { runtime, db, published } = createRuntime();
+
+    // What POST /api/wati/send-media stores
+    const watiResponse = { result: true, message: { whatsappMessageId: 'wamid.HBgL/1' } };
+    const messageRef = await runtime.saveOutgoingMessage({
+        waId: WA_ID,
+        text: 'Your x-ray',
+        caption: 'Your x-ray',
+        type: 'image',
+        attachmentId: 'wamid.HBgL%2F1',
+        direction: 'outgoing',
+        status: 'sent'
+    }, watiResponse);
+    const before = await storedMessage(db, messageRef.id);
+
+    const result = await runtime.processWebhookEvent({
+        eventType: 'sessionMessageSent',
+        id: 'wamid.HBgL/1',
+        whatsappMessageId: 'wamid.HBgL/1',
+        waId: WA_ID,
+        text: '',
+        statusString: 'Sent',
+        timestamp: String(Math.floor(Date.now() / 1000))
+    });
+
+    assert.equal(result.transition.accepted, false);
+    const after = await storedMessage(db, messageRef.id);
+    assert.equal(after.type, 'image');
+    assert.equal(after.text, 'Your x-ray');
+    assert.equal(after.previewUrl, before.previewUrl);
+    assert.ok(after.previewUrl);
+    assert.equal(after.status, 'sent');
+    assert.deepEqual(published, []);
+});
+
+test('a sent echo for a message we never stored creates it', async () => {
+    const { runtime, db } = createRuntime();
+
+    await runtime.processWebhookEvent({
+        eventType: 'sessionMessageSent',
+        id: 'wamid.2',
+        waId: WA_ID,
+        text: 'Sent from the WATI inbox',
+        statusString: 'Sent',
+        timestamp: String(Math.floor(Date.now() / 1000))
+    });
+
+    const message = await storedMessage(db, 'wamid.2');
+    assert.equal(message.type, 'session');
+    assert.equal(message.text, 'Sent from the WATI inbox');
+});
+
+test('a retried media event only retries the archive step', async () => {
+    const { runtime, db, published } = createRuntime();
+    let lookups = 0;
+    runtime.wati.getAttachmentUrl = async () => {
+        lookups++;
+        throw new Error('WATI unavailable');
+    };
+
+    const event = {
+        eventType: 'message',
+        id: 'wamid.3',
+        waId: WA_ID,
+        type: 'image',
+        data: 'https://wati.invalid/api/file/showFile?fileName=data/images/x.jpg',
+        timestamp: String(Math.floor(Date.now() / 1000))
+    };
+
+    await assert.rejects(runtime.processWebhookEvent(event), /Media archiving failed/);
+    await db.collection('whatsapp_messages').doc('wamid.3').update({ seen: true });
+
+    await assert.rejects(runtime.processWebhookEvent(event), /Media archiving failed/);
+
+    assert.equal(lookups, 2);
+    const message = (await db.collection('whatsapp_messages').doc('wamid.3').get()).data();
+    assert.equal(message.seen, true);
+    assert.equal(published.filter(entry => entry.type === 'message.created').length, 1);
+    assert.equal((await db.collection('whatsapp_attachments').doc('wamid.3').get()).data().archiveStatus, 'failed');
+});
+
+test('inbound media goes through consent and auto-reply like text', async () => {
+    const { runtime } = createRuntime();
+    runtime.wati.getAttachmentUrl = async () => {
+        throw new Error('WATI unavailable');
+    };
+    const replies = [];
+    runtime.wati.sendSessionMessage = async (phone, text) => (replies.push({ phone, text }), { result: true, message: { id: `wamid.reply${replies.length}` } });
+
+    await runtime.autoReply.rules.create({
+        name: 'welcome',
+        match: { type: 'first_contact' },
+        response: { type: 'text', text: 'Welcome to the clinic!' }
+    });
+
+    const event = {
+        eventType: 'message',
+        id: 'wamid.4',
+        waId: WA_ID,
+        type: 'image',
+        data: 'https://wati.invalid/api/file/showFile?fileName=data/images/y.jpg',
+        timestamp: String(Math.floor(Date.now() / 1000))
+    };
+
+    // The archive failure is retried, the reply is not
+    await assert.rejects(runtime.processWebhookEvent(event), /Media archiving failed/);
+    await assert.rejects(runtime.processWebhookEvent(event), /Media archiving failed/);
+
+    assert.deepEqual(replies, [{ phone: WA_ID, text: 'Welcome to the clinic!' }]);
+});
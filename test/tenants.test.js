@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createMemoryStore, createRateLimiter } from '../middleware/rateLimit.js';
+import { loadTenants, scopeDatabase } from '../services/tenants.js';
+import { createTenantRuntime } from '../services/tenantRuntime.js';
+
+const WA_ID = '27821234567';
+
+const TENANTS = [
+    { id: 'clinic-a', baseUrl: 'https://wati.invalid/a', token: 'a', channelNumbers: ['27770000001'], webhookSecrets: ['secret-a'], legacyStorage: true },
+    { id: 'clinic-b', baseUrl: 'https://wati.invalid/b', token: 'b', channelNumbers: '27770000002, 27770000003', webhookSecrets: 'secret-b' }
+];
+
+function registry(tenants = TENANTS, env = {}) {
+    return loadTenants({ WATI_TENANTS: JSON.stringify(tenants), ...env });
+}
+
+function createRuntime(db, tenant) {
+    return createTenantRuntime({
+        tenant,
+        db,
+        realtime: { publish: () => {} },
+        mediaStorage: { name: 'test', exists: async () => false, save: async () => {} },
+        rateLimiter: createRateLimiter({ store: createMemoryStore(), rules: {} })
+    });
+}
+
+test('the env-built tenant needs a WATI account', () => {
+    assert.throws(() => loadTenants({ WATI_CHANNEL_NUMBER: '27770000000' }), /WATI_BASE_URL must be set/);
+    assert.throws(() => loadTenants({ WATI_BASE_URL: 'https://wati.invalid' }), /WATI_CHANNEL_NUMBER must be set/);
+
+    const { tenants, defaultTenantId } = loadTenants({ WATI_BASE_URL: 'https://wati.invalid', WATI_CHANNEL_NUMBER: '27770000000,27770000001', WATI_WEBHOOK_SECRETS: 's1,s2' });
+    assert.equal(defaultTenantId, 'default');
+    assert.deepEqual(tenants[0].channelNumbers, ['27770000000', '27770000001']);
+    assert.deepEqual(tenants[0].webhookSecrets, ['s1', 's2']);
+    assert.equal(tenants[0].legacyStorage, true);
+});
+
+test('registry entries are validated', () => {
+    assert.throws(() => registry([]), /non-empty JSON array/);
+    assert.throws(() => registry([{ ...TENANTS[1], id: 'clinic b' }]), /invalid tenant id 'clinic b'/);
+    assert.throws(() => registry([{ ...TENANTS[1], baseUrl: '' }]), /needs a baseUrl/);
+    assert.throws(() => registry([{ ...TENANTS[1], channelNumbers: [] }]), /at least one channel number/);
+    assert.throws(() => registry([TENANTS[1], TENANTS[1]]), /duplicate tenant id 'clinic-b'/);
+    assert.throws(() => registry([TENANTS[0], { ...TENANTS[1], legacyStorage: true }]), /only one tenant can use legacyStorage/);
+    assert.throws(() => registry(TENANTS, { DEFAULT_TENANT: 'clinic-c' }), /unknown tenant 'clinic-c'/);
+});
+
+test('callers act on their own tenant, or the default one', () => {
+    const tenants = registry();
+    assert.equal(tenants.defaultTenantId, null);
+    assert.equal(tenants.tenantFor({ tenantId: 'clinic-b' }).id, 'clinic-b');
+    assert.equal(tenants.tenantFor({ tenantId: 'clinic-c' }), null);
+    assert.equal(tenants.tenantFor({}), null);
+
+    const withDefault = registry(TENANTS, { DEFAULT_TENANT: 'clinic-a' });
+    assert.equal(withDefault.tenantFor({}).id, 'clinic-a');
+    assert.equal(withDefault.tenantFor({ tenantId: 'clinic-b' }).id, 'clinic-b');
+    assert.deepEqual(withDefault.get('clinic-b').channelNumbers, ['27770000002', '27770000003']);
+});
+
+test('scoped databases keep tenants apart', async () => {
+    const db = createMemoryDatabase();
+    const [clinicA, clinicB] = registry().tenants;
+    const clinicC = { ...clinicB, id: 'clinic-c' };
+
+    await scopeDatabase(db, clinicB).collection('contacts').doc(WA_ID).set({ name: 'Patient of B' });
+    await scopeDatabase(db, clinicC).collection('contacts').doc(WA_ID).set({ name: 'Patient of C' });
+
+    // The legacy tenant keeps the top-level collections
+    assert.equal(scopeDatabase(db, clinicA), db);
+    assert.equal((await db.collection('contacts').doc(WA_ID).get()).exists, false);
+
+    assert.equal((await scopeDatabase(db, clinicB).collection('contacts').doc(WA_ID).get()).data().name, 'Patient of B');
+    assert.equal((await scopeDatabase(db, clinicC).collection('contacts').doc(WA_ID).get()).data().name, 'Patient of C');
+    assert.equal((await db.collection('tenants').doc('clinic-b').collection('contacts').doc(WA_ID).get()).data().name, 'Patient of B');
+});
+
+test('webhook events are stored in the receiving tenant only', async () => {
+    const db = createMemoryDatabase();
+    const [clinicA, clinicB] = registry().tenants;
+    const runtimeA = createRuntime(db, clinicA);
+    const runtimeB = createRuntime(db, clinicB);
+
+    await runtimeB.processWebhookEvent({
+        eventType: 'message',
+        id: 'wamid.b1',
+        waId: WA_ID,
+        type: 'text',
+        text: 'Hello clinic B',
+        timestamp: String(Math.floor(Date.now() / 1000))
+    });
+
+    assert.equal((await runtimeB.db.collection('whatsapp_messages').doc('wamid.b1').get()).data().text, 'Hello clinic B');
+    assert.equal((await runtimeB.db.collection('contacts').doc(WA_ID).get()).data().unreadCount, 1);
+
+    assert.equal((await runtimeA.db.collection('whatsapp_messages').doc('wamid.b1').get()).exists, false);
+    assert.equal((await runtimeA.db.collection('contacts').doc(WA_ID).get()).exists, false);
+});
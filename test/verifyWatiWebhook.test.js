@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createWatiWebhookVerifier, parseSecrets } from '../middleware/verifyWatiWebhook.js';
+
+function sign(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Runs the verifier on a delivery; resolves to 'accepted' or the rejection reason
+function deliver(verifier, event, headers = {}) {
+    const rawBody = Buffer.from(JSON.stringify(event));
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { body: event, rawBody, query: {}, path: '/webhook', ip: '127.0.0.1', get: (name) => lowerHeaders[name.toLowerCase()] };
+
+    return new Promise((resolve) => {
+        const res = {
+            status: (code) => ({ json: (body) => resolve({ code, ...body }) })
+        };
+        verifier(req, res, () => resolve('accepted'));
+    });
+}
+
+const event = { eventType: 'message', id: 'wamid.1', waId: '27821234567', text: 'hi' };
+
+test('a tenant without secrets is refused unless verification is off', async () => {
+    const db = createMemoryDatabase();
+    assert.throws(() => createWatiWebhookVerifier({ db, tenantId: 'clinic', secrets: [] }), /No webhook secrets are set for tenant 'clinic'/);
+
+    const unverified = createWatiWebhookVerifier({ db, secrets: [], verify: false });
+    assert.equal(await deliver(unverified, event), 'accepted');
+});
+
+test('deliveries need a signature or shared secret made with a configured secret', async () => {
+    const db = createMemoryDatabase();
+    const verifier = createWatiWebhookVerifier({ db, secrets: ['old-secret'] });
+    const body = JSON.stringify(event);
+
+    assert.equal(await deliver(verifier, event, { 'X-Wati-Signature': sign(body, 'old-secret') }), 'accepted');
+    assert.equal((await deliver(verifier, event, { 'X-Wati-Signature': sign(body, 'wrong') })).reason, 'invalid_signature');
+    assert.equal((await deliver(verifier, event, { 'X-Wati-Secret': 'wrong' })).reason, 'invalid_secret');
+    assert.equal((await deliver(verifier, event)).reason, 'missing_signature');
+
+    const rejections = await db.collection('wati_webhook_rejections').get();
+    assert.equal(rejections.size, 3);
+});
+
+test('both secrets are accepted while rotating', async () => {
+    const verifier = createWatiWebhookVerifier({ db: createMemoryDatabase(), secrets: parseSecrets('old-secret, new-secret') });
+    const body = JSON.stringify(event);
+
+    assert.equal(await deliver(verifier, event, { 'X-Wati-Signature': sign(body, 'old-secret') }), 'accepted');
+    assert.equal(await deliver(verifier, event, { 'X-Wati-Signature': sign(body, 'new-secret') }), 'accepted');
+    assert.equal(await deliver(verifier, event, { 'X-Wati-Secret': 'new-secret' }), 'accepted');
+});
+
+test('a late retry of a genuine delivery is accepted', async () => {
+    const verifier = createWatiWebhookVerifier({ db: createMemoryDatabase(), secrets: ['secret'] });
+    const late = { ...event, eventType: 'sentMessageDELIVERED', timestamp: String(Math.floor(Date.now() / 1000) - 6 * 3600) };
+
+    assert.equal(await deliver(verifier, late, { 'X-Wati-Signature': sign(JSON.stringify(late), 'secret') }), 'accepted');
+});
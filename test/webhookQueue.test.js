@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMemoryDatabase } from '../services/memoryDb.js';
+import { createWebhookQueue, extractEventPayload, getRetryDelay, getWebhookEventKey } from '../services/webhookQueue.js';
+
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out');
+        }
+        await sleep(10);
+    }
+}
+
+function storeEvent(db, queue, id, payload) {
+    return db.collection('wati_webhook_events').doc(id).set({ ...payload, eventKey: id, ...queue.pendingFields() });
+}
+
+test('retry delays back off up to the maximum', () => {
+    assert.equal(getRetryDelay(1, 1000, 10000), 1000);
+    assert.equal(getRetryDelay(3, 1000, 10000), 4000);
+    assert.equal(getRetryDelay(10, 1000, 10000), 10000);
+});
+
+test('queue bookkeeping is stripped from the payload', () => {
+    assert.deepEqual(extractEventPayload({ eventType: 'message', attempts: 2, nextAttemptAt: 1 }), { eventType: 'message' });
+});
+
+test('an enqueued event is processed once', async () => {
+    const db = createMemoryDatabase();
+    const seen = [];
+    const queue = createWebhookQueue({ db, processEvent: async (payload) => (seen.push(payload), { ok: true }) });
+
+    await storeEvent(db, queue, 'e1', { eventType: 'message', text: 'hi' });
+    queue.enqueue('e1');
+
+    const ref = db.collection('wati_webhook_events').doc('e1');
+    await waitFor(async () => (await ref.get()).data().processed);
+    assert.deepEqual(seen, [{ eventType: 'message', text: 'hi' }]);
+    assert.equal((await ref.get()).data().nextAttemptAt, undefined);
+});
+
+test('a failing event is retried, then dead-lettered and can be replayed', async () => {
+    const db = createMemoryDatabase();
+    let fail = true;
+    const queue = createWebhookQueue({
+        db,
+        processEvent: async () => {
+            if (fail) {
+                throw new Error('boom');
+            }
+            return { ok: true };
+        },
+        maxAttempts: 3,
+        baseDelayMs: 1,
+        maxDelayMs: 1,
+        pollIntervalMs: 5
+    });
+
+    await storeEvent(db, queue, 'e1', { eventType: 'message' });
+    queue.start();
+    try {
+        await waitFor(async () => (await queue.listDeadLetters()).length === 1);
+        const [deadLetter] = await queue.listDeadLetters();
+        assert.equal(deadLetter.attempts, 3);
+        assert.equal(deadLetter.lastError, 'boom');
+
+        fail = false;
+        assert.equal(await queue.replayDeadLetter('e1'), true);
+        const ref = db.collection('wati_webhook_events').doc('e1');
+        await waitFor(async () => (await ref.get()).data().processed);
+        assert.equal((await queue.listDeadLetters()).length, 0);
+    } finally {
+        queue.stop();
+    }
+});
+
+test('event keys are stable across retries of the same delivery', () => {
+    const event = { eventType: 'message', id: 'wamid.HBgL/1', text: 'hi' };
+    assert.equal(getWebhookEventKey(event, '{"a":1}'), 'message_wamid.HBgL_1');
+    assert.equal(getWebhookEventKey(event, '{"b":2}'), getWebhookEventKey(event, '{"a":1}'));
+
+    // Without an id the raw body is hashed
+    const anonymous = { eventType: 'message', text: 'hi' };
+    assert.match(getWebhookEventKey(anonymous, 'body'), /^message_[0-9a-f]{64}$/);
+    assert.equal(getWebhookEventKey(anonymous, 'body'), getWebhookEventKey(anonymous, 'body'));
+    assert.notEqual(getWebhookEventKey(anonymous, 'body'), getWebhookEventKey(anonymous, 'other body'));
+});
+
+test('a duplicate delivery is counted, not processed again', async () => {
+    const db = createMemoryDatabase();
+    const seen = [];
+    const queue = createWebhookQueue({ db, processEvent: async (payload) => (seen.push(payload), { ok: true }) });
+    const event = { eventType: 'message', id: 'wamid.5', text: 'hi' };
+
+    assert.deepEqual(await queue.receive(event, JSON.stringify(event)), { eventKey: 'message_wamid.5', status: 'new' });
+    const ref = db.collection('wati_webhook_events').doc('message_wamid.5');
+    await waitFor(async () => (await ref.get()).data().processed);
+
+    assert.deepEqual(await queue.receive(event, JSON.stringify(event)), { eventKey: 'message_wamid.5', status: 'replay' });
+    assert.deepEqual(await queue.receive(event, JSON.stringify(event)), { eventKey: 'message_wamid.5', status: 'replay' });
+
+    await sleep(50);
+    assert.equal(seen.length, 1);
+    assert.equal((await ref.get()).data().duplicateCount, 2);
+    queue.stop();
+});